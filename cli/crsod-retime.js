@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+// Re-times a subtitle script to match a dub, outside the browser, using the
+// same script comparison as the extension.
+//
+// Usage:
+//   crsod-retime --reference dub.ass --reference-alt alt_en.ass --input alt_fr.ass -o out.ass
+//
+// Each --reference is a script in the dub's timing, paired (in order) with a
+// --reference-alt in the same language but in the timing of --input. The pair
+// aligning best decides the adjustment applied to --input.
+//
+// Exit status is 0 on success, 1 on bad usage or unreadable files, and 2 if
+// no comparison was trustworthy enough to use (and no --offset was given).
+
+const fs = require('node:fs');
+const { parseArgs } = require('node:util');
+const { SETTINGS_DEFAULTS } = require('../src/settings.js');
+const { TimingMap, script_timing_map, script_retime_text } = require('../src/scriptutils.js');
+
+const USAGE = `Usage: crsod-retime --reference DUB --reference-alt ALT [--reference DUB --reference-alt ALT ...]
+                    --input SCRIPT [-o OUT] [options]
+       crsod-retime --offset MS --input SCRIPT [-o OUT]
+
+Options:
+  --reference FILE       Script in the dub's timing (repeatable)
+  --reference-alt FILE   Same language script in the input's timing, paired with
+                         the --reference given in the same position (repeatable)
+  --input FILE           Script to re-time (ASS, WebVTT or SRT)
+  -o, --output FILE      Where to write the re-timed script (default: stdout)
+  --offset MS            Shift by MS instead of comparing scripts; give
+                         negative offsets as --offset=-MS
+  --min-confidence N     Min confidence (0-1) for a comparison to be used
+  --json                 Print diagnostics as JSON to stdout; the script is only
+                         written if --output is given
+  -v, --verbose          Show debug logging from script comparison
+  -h, --help             Show this help`;
+
+const EXIT_USAGE = 1;
+const EXIT_NO_ALIGNMENT = 2;
+
+
+/**
+ * @param {string} file
+ * @returns {string} Contents of the file, or exits if it can't be read
+ */
+function read_script(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        fail(`cannot read ${file}: ${error.message}`, EXIT_USAGE);
+    }
+}
+
+/**
+ * @param {string} message
+ * @param {number} code Exit status
+ */
+function fail(message, code) {
+    process.stderr.write(`crsod-retime: ${message}\n`);
+    process.exit(code);
+}
+
+/**
+ * Send the script modules' logging to stderr if verbose, and discard it
+ * otherwise, so that it never mixes with a script written to stdout.
+ *
+ * @param {boolean} verbose
+ */
+function route_logging(verbose) {
+    let stderr = console.error.bind(console);
+    let log = (...args) => { if (verbose) { stderr(...args); } };
+    ['debug', 'info', 'warn', 'error', 'log'].forEach((level) => { console[level] = log; });
+}
+
+/**
+ * @param {Array<string>} argv Command line arguments
+ * @returns {Object} Parsed options, or exits on bad usage
+ */
+function parse_options(argv) {
+    var parsed;
+    try {
+        parsed = parseArgs({
+            'args': argv,
+            'options': {
+                'reference': { 'type': 'string', 'multiple': true, 'default': [] },
+                'reference-alt': { 'type': 'string', 'multiple': true, 'default': [] },
+                'input': { 'type': 'string' },
+                'output': { 'type': 'string', 'short': 'o' },
+                'offset': { 'type': 'string' },
+                'min-confidence': { 'type': 'string' },
+                'json': { 'type': 'boolean', 'default': false },
+                'verbose': { 'type': 'boolean', 'short': 'v', 'default': false },
+                'help': { 'type': 'boolean', 'short': 'h', 'default': false },
+            },
+        });
+    } catch (error) {
+        fail(`${error.message}\n\n${USAGE}`, EXIT_USAGE);
+    }
+
+    let opts = parsed.values;
+    if (opts.help) {
+        process.stdout.write(`${USAGE}\n`);
+        process.exit(0);
+    }
+    if (!opts.input) {
+        fail(`--input is required\n\n${USAGE}`, EXIT_USAGE);
+    }
+    if (opts.reference.length != opts['reference-alt'].length) {
+        fail("each --reference needs a matching --reference-alt", EXIT_USAGE);
+    }
+    if (opts.reference.length == 0 && opts.offset === undefined) {
+        fail(`give at least one --reference/--reference-alt pair, or --offset\n\n${USAGE}`, EXIT_USAGE);
+    }
+    ['offset', 'min-confidence'].forEach((name) => {
+        if (opts[name] !== undefined && !Number.isFinite(Number(opts[name]))) {
+            fail(`--${name} must be a number`, EXIT_USAGE);
+        }
+    });
+    return opts;
+}
+
+/**
+ * Compare each pair of reference scripts.
+ *
+ * @param {Object} opts Parsed options
+ * @returns {Array<Object>} Result for each pair as { reference, reference_alt, map }
+ * where map is a TimingMap, or null if the scripts couldn't be matched up.
+ */
+function compare_references(opts) {
+    return opts.reference.map((reference, i) => {
+        let reference_alt = opts['reference-alt'][i];
+        let map = script_timing_map(read_script(reference), read_script(reference_alt));
+        if (map) {
+            map.reference = reference;
+        }
+        return { 'reference': reference, 'reference_alt': reference_alt, 'map': map };
+    });
+}
+
+/**
+ * @param {Object} result One of the results of compare_references()
+ * @param {number} min_confidence
+ * @returns {Object} Diagnostics for the result, as printed with --json
+ */
+function describe_result(result, min_confidence) {
+    let map = result.map;
+    return {
+        'reference': result.reference,
+        'reference_alt': result.reference_alt,
+        'matched': map !== null,
+        'adjustment': map ? map.describe() : null,
+        'method': map ? map.method() : null,
+        'support': map ? map.support : 0,
+        'confidence': map ? map.confidence : 0,
+        'trusted': map !== null && map.confidence >= min_confidence,
+        'segments': map ? map.as_object().segments : [],
+    };
+}
+
+function main(argv) {
+    let opts = parse_options(argv);
+    route_logging(opts.verbose);
+    let min_confidence = (opts['min-confidence'] !== undefined)
+        ? Number(opts['min-confidence']) : SETTINGS_DEFAULTS.script_min_confidence;
+    let input = read_script(opts.input);
+    let log = (line) => { if (!opts.json) { process.stderr.write(`${line}\n`); } };
+
+    let results = compare_references(opts);
+    let diagnostics = {
+        'input': opts.input,
+        'min_confidence': min_confidence,
+        'references': results.map((result) => describe_result(result, min_confidence)),
+        'chosen': null,
+        'adjustment': null,
+        'dropped': 0,
+    };
+
+    var best = null;
+    results.forEach((result, i) => {
+        let diag = diagnostics.references[i];
+        if (!result.map) {
+            log(`${result.reference} / ${result.reference_alt}: could not match up scripts`);
+            return;
+        }
+        log(`${result.reference} / ${result.reference_alt}: suggests ${diag.adjustment} (${diag.method}), `
+            + `supported by ${diag.support} lines, confidence ${diag.confidence.toFixed(2)}`
+            + (diag.trusted ? '' : `, below ${min_confidence}`));
+        if (diag.trusted && result.map.better_than(best)) {
+            best = result.map;
+        }
+    });
+
+    var map;
+    if (opts.offset !== undefined) {
+        map = TimingMap.constant(Math.round(Number(opts.offset)));
+        log(`Using given offset of ${map.describe()}`);
+    } else if (best) {
+        map = best;
+        diagnostics.chosen = best.reference;
+        log(`Using ${best.describe()} from ${best.reference}`);
+    } else {
+        if (opts.json) {
+            process.stdout.write(`${JSON.stringify(diagnostics, null, 2)}\n`);
+        }
+        fail("no script comparison was trustworthy enough; give --offset to re-time anyway", EXIT_NO_ALIGNMENT);
+    }
+    diagnostics.adjustment = map.as_object();
+
+    let out = script_retime_text(input, map);
+    if (!out) {
+        fail(`${opts.input}: unrecognized script format`, EXIT_USAGE);
+    }
+    diagnostics.dropped = out.dropped;
+    if (out.dropped) {
+        log(`Dropped ${out.dropped} events missing from the dub`);
+    }
+
+    if (opts.output) {
+        fs.writeFileSync(opts.output, out.script);
+        log(`Wrote ${opts.output}`);
+    } else if (!opts.json) {
+        process.stdout.write(out.script);
+    }
+    if (opts.json) {
+        process.stdout.write(`${JSON.stringify(diagnostics, null, 2)}\n`);
+    }
+}
+
+
+main(process.argv.slice(2));
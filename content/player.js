@@ -0,0 +1,30 @@
+// Content script: re-fetches the player's subtitles when asked to by the
+// background page (e.g. after a timing override changes), so they're
+// rewritten again without reloading the page or interrupting playback.
+
+
+/**
+ * Replace the subtitle tracks loading any of the given URLs with copies, so
+ * that the browser fetches them again. Each copy is shown (or hidden) as its
+ * original was.
+ *
+ * @param {Array<string>} urls Script URLs to fetch again
+ * @returns {boolean} true if any track was replaced
+ */
+function player_refetch(urls) {
+    let tracks = Array.from(document.querySelectorAll('track')).filter((track) => urls.includes(track.src));
+    tracks.forEach((track) => {
+        let mode = track.track.mode;
+        let copy = track.cloneNode(true);
+        track.replaceWith(copy);
+        copy.track.mode = mode;
+    });
+    return tracks.length > 0;
+}
+
+
+browser.runtime.onMessage.addListener((message) => {
+    if (message.type == 'refetch_subtitles') {
+        return Promise.resolve(player_refetch(message.urls));
+    }
+});
@@ -0,0 +1,112 @@
+// Options page: binds form inputs to settings of the same name.
+
+const FORM = document.getElementById('settings');
+
+
+/**
+ * @param {HTMLInputElement} input
+ * @param {any} value Value of the input's setting
+ * @returns {string} value as shown in the input
+ */
+function options_format(input, value) {
+    if (input.dataset.type == 'list') {
+        return value.join(', ');
+    }
+    if (input.dataset.type == 'map') {
+        return Object.keys(value).map((key) => `${key}: ${value[key]}`).join(', ');
+    }
+    if (input.dataset.type == 'json') {
+        return JSON.stringify(value, null, 2);
+    }
+    return value;
+}
+
+/**
+ * Populate all form inputs from the given settings.
+ * @param {Object} settings
+ */
+function options_show(settings) {
+    Array.from(FORM.elements).filter((e) => e.name).forEach((input) => {
+        let value = settings[input.name];
+        if (input.type == 'checkbox') {
+            input.checked = value;
+        } else {
+            input.value = options_format(input, value);
+        }
+    });
+}
+
+/**
+ * Save the value of a single form input, if valid.
+ * @param {HTMLInputElement} input
+ */
+async function options_save_input(input) {
+    if (input.dataset.type == 'json') {
+        // Set again below, if it's still not valid.
+        input.setCustomValidity('');
+    }
+    if (!input.checkValidity()) {
+        return;
+    }
+    let value = input.value.trim();
+    if (input.type == 'checkbox') {
+        value = input.checked;
+    } else if (input.type == 'number') {
+        value = Number(value);
+    } else if (input.dataset.type == 'list') {
+        value = value.split(',').map((x) => x.trim()).filter((x) => x);
+    } else if (input.dataset.type == 'map') {
+        // Entries like "key: value"; anything else is ignored.
+        let entries = value.split(',').map((x) => x.split(':').map((y) => y.trim()));
+        value = {};
+        entries.filter((x) => x.length == 2 && x[0] && x[1]).forEach(([key, v]) => { value[key] = v; });
+    } else if (input.dataset.type == 'json') {
+        try {
+            value = JSON.parse(value || '{}');
+        } catch (error) {
+            input.setCustomValidity(`Not valid JSON: ${error.message}`);
+            input.reportValidity();
+            return;
+        }
+    }
+    await settings_save({ [input.name]: value });
+}
+
+FORM.addEventListener('change', (event) => {
+    options_save_input(event.target).catch((error) => console.error("Failed to save settings", error));
+});
+
+document.getElementById('restore-defaults').addEventListener('click', () => {
+    settings_reset().catch((error) => console.error("Failed to restore defaults", error));
+});
+
+/**
+ * Show how much is cached.
+ */
+async function options_show_cache() {
+    let size = await cache_size();
+    document.getElementById('cache-size').textContent =
+        `${size.entries} cached entries (${Math.ceil(size.bytes / 1024)} KB)`;
+}
+
+document.getElementById('clear-cache').addEventListener('click', () => {
+    cache_clear().then(options_show_cache).catch((error) => console.error("Failed to clear cache", error));
+});
+
+/**
+ * Show the request for host permissions, if any are missing.
+ */
+async function options_show_permissions() {
+    document.getElementById('permissions').hidden = await permissions_ok();
+}
+
+document.getElementById('grant-permissions').addEventListener('click', () => {
+    permissions_request().then(options_show_permissions).catch((error) => {
+        console.error("Failed to request permissions", error);
+    });
+});
+
+settings_on_change(options_show);
+options_show_permissions();
+options_show_cache();
+settings_load().then(options_show);
@@ -0,0 +1,214 @@
+// Toolbar popup: shows what was done for the episode playing in the current tab.
+
+// Descriptions of the dub's own subs, by label from PlayResponse.should_replace_dub_sub.
+const POPUP_REPLACE_LABELS = {
+    'missing': 'missing',
+    'empty': 'empty',
+    'signs': 'signs and songs only',
+    'sparse': 'too little dialogue',
+    'dialogue': 'a full translation',
+};
+
+/**
+ * @param {string} id
+ * @param {string} text
+ */
+function popup_set_text(id, text) {
+    document.getElementById(id).textContent = text;
+}
+
+/**
+ * @param {string} id ID of a list element
+ * @param {Array<string>} items
+ */
+function popup_set_list(id, items) {
+    let list = document.getElementById(id);
+    list.textContent = '';
+    items.forEach((item) => {
+        let li = document.createElement('li');
+        li.textContent = item;
+        list.appendChild(li);
+    });
+}
+
+/**
+ * @param {Object} status An EpisodeStatus, as sent by the background page
+ * @returns {Object} Human-readable descriptions of each part of the status
+ */
+function popup_describe(status) {
+    let out = {};
+    out.guid = `${status.guid || 'unknown'}${status.dub_lang ? ` (${status.dub_lang} audio)` : ''}`;
+    out.source = status.alt_guid
+        ? `${status.alt_guid} (${status.alt_lang} audio, chosen as "${status.source_via}")`
+        : 'nothing; no other version qualifies';
+    if (status.cached) {
+        out.source += '; timing from cache';
+    }
+    out.captions = status.captions.length ? status.captions.join(', ') : 'none';
+    out.copied = status.copied.length ? status.copied.join(', ') : 'none';
+
+    let replace = status.replace;
+    if (!replace) {
+        out.replace = 'not checked';
+    } else {
+        out.replace = `${replace.replace ? 'replaced' : 'kept'} as ${POPUP_REPLACE_LABELS[replace.label]}: `
+            + replace.reason;
+    }
+
+    out.adjustments = Object.keys(status.adjustments).sort().map((lang) => {
+        let adj = status.adjustments[lang];
+        return `${lang}: ${adj.description} (${adj.method}) using ${adj.how}`;
+    });
+    if (!out.adjustments.length) {
+        out.adjustments = ['not yet applied; select subtitles in the player'];
+    }
+    out.warnings = status.warnings;
+    out.errors = status.errors;
+    return out;
+}
+
+/**
+ * @param {Object} described Output of popup_describe
+ * @returns {string} A plain text report suitable for pasting into a bug report
+ */
+function popup_report(described) {
+    let lines = [
+        `Episode: ${described.guid}`,
+        `Subtitles loaded from: ${described.source}`,
+        `Dub's closed captions used for: ${described.captions}`,
+        `Added or replaced: ${described.copied}`,
+        `Dub's own subtitles: ${described.replace}`,
+        'Timing:',
+    ].concat(described.adjustments.map((a) => `  ${a}`));
+    if (described.warnings.length) {
+        lines.push('Warnings:');
+        lines = lines.concat(described.warnings.map((w) => `  ${w}`));
+    }
+    if (described.errors.length) {
+        lines.push('Errors:');
+        lines = lines.concat(described.errors.map((e) => `  ${e}`));
+    }
+    let counts = described.counts;
+    lines.push(`Responses since browser start: ${counts.ok} rewritten, ${counts.failed} failed, ${counts.timed_out} timed out`);
+    lines.push(`Extension version: ${browser.runtime.getManifest().version}`);
+    return lines.join('\n');
+}
+
+/**
+ * Set up the timing override controls for the episode in a tab.
+ *
+ * @param {number} tab_id
+ */
+async function popup_override(tab_id) {
+    let form = document.getElementById('override');
+    let scope = () => form.elements.scope.value;
+    let current = await browser.runtime.sendMessage({ 'type': 'override_get', 'tab_id': tab_id });
+    let show = () => {
+        let offset = current ? current[scope()] : null;
+        form.elements.offset.value = (offset === null) ? '' : offset;
+    };
+    // Changes have the player fetch its subtitles again, which refreshes the status; close to show it.
+    let send = (message) => {
+        message.tab_id = tab_id;
+        message.scope = scope();
+        browser.runtime.sendMessage(message)
+            .then(() => window.close())
+            .catch((error) => console.error("Failed to set override", error));
+    };
+
+    show();
+    form.elements.scope.addEventListener('change', show);
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        let value = form.elements.offset.value;
+        send({ 'type': 'override_set', 'offset': (value === '') ? null : Number(value) });
+    });
+    document.getElementById('override-clear').addEventListener('click', () => {
+        send({ 'type': 'override_set', 'offset': null });
+    });
+    form.querySelectorAll('[data-delta]').forEach((button) => {
+        button.addEventListener('click', () => {
+            send({ 'type': 'override_nudge', 'delta': Number(button.dataset.delta) });
+        });
+    });
+}
+
+/**
+ * Set up the controls for downloading subtitles of the episode in a tab.
+ *
+ * @param {number} tab_id
+ * @param {Object} status The episode's EpisodeStatus
+ */
+function popup_export(tab_id, status) {
+    let form = document.getElementById('export');
+    let buttons = form.querySelectorAll('button');
+    let season = document.getElementById('export-season');
+    let enable = () => {
+        buttons.forEach((button) => { button.disabled = !status.langs.length; });
+        // The season is known once the episode's metadata has been loaded.
+        season.disabled = season.disabled || !status.season_id;
+    };
+    status.langs.forEach((lang) => {
+        let option = document.createElement('option');
+        option.value = lang;
+        option.textContent = lang;
+        option.selected = (lang == status.dub_lang);
+        form.elements.lang.appendChild(option);
+    });
+    enable();
+
+    let send = (type) => {
+        buttons.forEach((button) => { button.disabled = true; });
+        popup_set_text('export-result', (type == 'export_season') ? 'Loading every episode\u2026' : 'Loading\u2026');
+        let message = { 'type': type, 'tab_id': tab_id, 'lang': form.elements.lang.value, 'format': form.elements.format.value };
+        browser.runtime.sendMessage(message).then((result) => {
+            var text = `Saved ${result.files.length} file${(result.files.length == 1) ? '' : 's'}`;
+            if (result.failed.length) {
+                text += `; left out ${result.failed.join('; ')}`;
+            }
+            popup_set_text('export-result', text);
+        }).catch((error) => {
+            popup_set_text('export-result', `Failed: ${error.message}`);
+        }).finally(enable);
+    };
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        send('export_episode');
+    });
+    season.addEventListener('click', () => send('export_season'));
+}
+
+async function popup_show() {
+    if (!await permissions_ok()) {
+        document.getElementById('no-permissions').hidden = false;
+        document.getElementById('open-options').addEventListener('click', () => {
+            browser.runtime.openOptionsPage();
+            window.close();
+        });
+    }
+
+    let tabs = await browser.tabs.query({ 'active': true, 'currentWindow': true });
+    let status = await browser.runtime.sendMessage({ 'type': 'status', 'tab_id': tabs[0].id });
+    if (!status) {
+        return;
+    }
+
+    let described = popup_describe(status);
+    described.counts = await browser.runtime.sendMessage({ 'type': 'counts' });
+    document.getElementById('empty').hidden = true;
+    document.getElementById('status').hidden = false;
+    ['guid', 'source', 'captions', 'copied', 'replace'].forEach((id) => popup_set_text(id, described[id]));
+    popup_set_list('adjustments', described.adjustments);
+    popup_set_list('warning-list', described.warnings);
+    document.getElementById('warnings').hidden = (described.warnings.length == 0);
+    popup_set_list('error-list', described.errors);
+    document.getElementById('errors').hidden = (described.errors.length == 0);
+
+    document.getElementById('copy-report').addEventListener('click', () => {
+        navigator.clipboard.writeText(popup_report(described));
+    });
+    popup_export(tabs[0].id, status);
+    await popup_override(tabs[0].id);
+}
+
+popup_show().catch((error) => console.error("Failed to load status", error));
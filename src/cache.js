@@ -0,0 +1,150 @@
+// Persistent cache of what was worked out for each episode, so that loading an
+// episode again needs no requests beyond the script actually being displayed.
+//
+// Entries are keyed by dub GUID and source GUID (the source's subtitle list,
+// both durations and skip events, and how much dialogue the scripts in the
+// dub's language have),
+// and by dub GUID, source GUID and language (the timing map found by comparing
+// that language's scripts).
+
+// Each entry is stored under its own key in browser.storage.local, so that
+// reading or writing one doesn't mean reading or writing them all. An index of
+// every entry's time and size is kept alongside, for eviction.
+const CACHE_KEY_PREFIX = 'cache/';
+const CACHE_INDEX_KEY = 'cache_index';
+
+// Key all entries were kept under by older versions.
+const CACHE_LEGACY_KEY = 'cache';
+
+// Max total size (bytes, as JSON) of entries kept; the oldest are evicted first.
+const CACHE_MAX_BYTES = 4 * 1024 * 1024;
+
+// Max age (ms) of entries. Durations and script timings rarely change once an
+// episode is out, but now and then a version is re-released.
+const CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// Subtitle URLs are signed and stop working once they expire; a cached
+// subtitle list is only used if its URLs are good for at least this long (ms).
+const CACHE_URL_MARGIN = 60 * 60 * 1000;
+
+// Writes are queued so that concurrent updates don't clobber one another.
+var _CACHE_WRITES = Promise.resolve();
+
+
+/**
+ * @param {...string} parts e.g. dub GUID, source GUID and language
+ * @returns {string} Cache key for the given parts
+ */
+function cache_key(...parts) {
+    return parts.join('/');
+}
+
+/**
+ * @param {string} key A cache key
+ * @returns {string} Key the entry is stored under in browser.storage.local
+ */
+function cache_storage_key(key) {
+    return `${CACHE_KEY_PREFIX}${key}`;
+}
+
+/**
+ * @returns {Promise<Object|undefined>} Index of all entries, keyed by cache
+ * key, each as { time, bytes }; or undefined if nothing was ever cached.
+ */
+async function cache_index() {
+    let stored = await browser.storage.local.get(CACHE_INDEX_KEY);
+    return stored[CACHE_INDEX_KEY];
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<Object|null>} Cached value, or null if missing or expired.
+ */
+async function cache_get(key) {
+    let storage_key = cache_storage_key(key);
+    let stored = await browser.storage.local.get(storage_key);
+    let entry = stored[storage_key];
+    if (!entry || Date.now() - entry.time > CACHE_MAX_AGE) {
+        return null;
+    }
+    return entry.value;
+}
+
+/**
+ * Store a value, evicting expired entries, then the oldest ones while the
+ * cache is too big.
+ *
+ * @param {string} key
+ * @param {Object} value Anything that can be stored in browser.storage
+ * @returns {Promise} Resolved once the value is stored
+ */
+function cache_put(key, value) {
+    _CACHE_WRITES = _CACHE_WRITES.then(async () => {
+        let saved = await cache_index();
+        if (saved === undefined) {
+            // Entries of older versions are worked out again.
+            await browser.storage.local.remove(CACHE_LEGACY_KEY);
+        }
+        let index = saved || {};
+        let now = Date.now();
+        index[key] = { 'time': now, 'bytes': JSON.stringify(value).length };
+
+        let keys = Object.keys(index).sort((a, b) => index[a].time - index[b].time);
+        var total = keys.reduce((sum, other) => sum + index[other].bytes, 0);
+        let evicted = [];
+        keys.forEach((old) => {
+            if (old != key && (total > CACHE_MAX_BYTES || now - index[old].time > CACHE_MAX_AGE)) {
+                total -= index[old].bytes;
+                evicted.push(old);
+                delete index[old];
+            }
+        });
+
+        await browser.storage.local.set({
+            [cache_storage_key(key)]: { 'time': now, 'value': value },
+            [CACHE_INDEX_KEY]: index,
+        });
+        if (evicted.length) {
+            await browser.storage.local.remove(evicted.map(cache_storage_key));
+        }
+    }).catch((error) => console.warn(`Could not cache ${key}`, error));
+    return _CACHE_WRITES;
+}
+
+/**
+ * Discard everything cached.
+ *
+ * @returns {Promise} Resolved once discarded
+ */
+function cache_clear() {
+    _CACHE_WRITES = _CACHE_WRITES.then(async () => {
+        let index = await cache_index() || {};
+        let keys = Object.keys(index).map(cache_storage_key);
+        await browser.storage.local.remove(keys.concat([CACHE_INDEX_KEY, CACHE_LEGACY_KEY]));
+    }).catch((error) => console.warn("Could not clear cache", error));
+    return _CACHE_WRITES;
+}
+
+/**
+ * @returns {Promise<Object>} Size of the cache, as { entries, bytes }
+ */
+async function cache_size() {
+    let index = await cache_index() || {};
+    let keys = Object.keys(index);
+    return {
+        'entries': keys.length,
+        'bytes': keys.reduce((sum, key) => sum + index[key].bytes, 0),
+    };
+}
+
+/**
+ * @param {Object<string, Object>} subs Raw subtitles map from a /play response
+ * @returns {boolean} true if none of the subtitle URLs expire soon
+ */
+function cache_urls_fresh(subs) {
+    let limit = Date.now() + CACHE_URL_MARGIN;
+    return Object.keys(subs).every((lang) => {
+        let expires = new URL(subs[lang].url).searchParams.get('Expires');
+        return expires === null || Number(expires) * 1000 > limit;
+    });
+}
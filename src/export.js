@@ -0,0 +1,332 @@
+// Export of subtitles as given to the player (added, merged and retimed) to
+// files: for the episode playing in a tab, or for every episode of its season
+// as a zip.
+//
+// Exports go through the same pipeline as the player's requests, authenticated
+// with the headers of the tab's last /play request and the credentials of its
+// latest request to Crunchyroll.
+
+const EXPORT_REQUESTS_KEY = 'export_requests';
+
+// Most episodes of a season exported, and time (ms) a season's export may
+// take; episodes beyond either are left out.
+const EXPORT_SEASON_MAX_EPISODES = 60;
+const EXPORT_SEASON_TIME_BUDGET = 5 * 60 * 1000;
+
+// Time (ms) an episode's export may take: as long as the player's /play and
+// script requests would each be given.
+const EXPORT_EPISODE_TIME_BUDGET = 2 * INTERCEPT_TIME_BUDGET;
+
+// MIME types of exported files, by format.
+const EXPORT_TYPES = {
+    'ass': 'text/x-ssa',
+    'srt': 'application/x-subrip',
+    'vtt': 'text/vtt',
+    'zip': 'application/zip',
+};
+
+// Characters which can't be used in the name of a downloaded file.
+const EXPORT_UNSAFE_CHARS = /[\\/:*?"<>|\u0000-\u001f]/g;
+
+// Max length of a file name, before the language and extension.
+const EXPORT_MAX_NAME = 120;
+
+// Object URLs of downloads in progress, by download ID, revoked once done.
+var _EXPORT_URLS = new Map();
+
+// Credential headers of each tab's latest request to Crunchyroll, by tab ID.
+// Only kept in memory, so lost if the background page is suspended, until the
+// tab makes another request.
+var _EXPORT_CREDENTIALS = new Map();
+
+
+/**
+ * Remember a tab's /play request, so that exports for the tab can be made
+ * the same way. Credentials are left out, see export_credentials_listener.
+ *
+ * @param {number} tab_id
+ * @param {Object} request Details of the /play request
+ * @param {string} guid GUID of the episode requested
+ */
+function export_remember(tab_id, request, guid) {
+    if (tab_id < 0) {
+        return;
+    }
+    session_save(EXPORT_REQUESTS_KEY, async () => {
+        let saved = await session_load(EXPORT_REQUESTS_KEY) || {};
+        saved[tab_id] = { 'url': request.url, 'guid': guid, 'headers': session_headers(request.requestHeaders) };
+        return saved;
+    });
+}
+
+/**
+ * Listener for requests to Crunchyroll; keeps the latest credentials of each
+ * tab, which stay fresh as long as the tab is used.
+ */
+function export_credentials_listener(request) {
+    if (request.tabId < 0 || !request.requestHeaders) {
+        return;
+    }
+    let credentials = session_credentials(request.requestHeaders);
+    if (credentials.length) {
+        _EXPORT_CREDENTIALS.set(request.tabId, credentials);
+    }
+}
+
+/**
+ * @param {number} tab_id Tab whose /play request is forgotten, e.g. when it's closed
+ */
+function export_forget_tab(tab_id) {
+    _EXPORT_CREDENTIALS.delete(tab_id);
+    session_save(EXPORT_REQUESTS_KEY, async () => {
+        let saved = await session_load(EXPORT_REQUESTS_KEY) || {};
+        delete saved[tab_id];
+        return saved;
+    });
+}
+
+/**
+ * @param {number} tab_id
+ * @returns {Promise<Object>} The tab's last /play request as { url, guid, headers },
+ * with the tab's latest credentials; or raises if it hasn't made one, or its
+ * credentials aren't known.
+ */
+async function export_request(tab_id) {
+    let saved = await session_load(EXPORT_REQUESTS_KEY) || {};
+    if (!saved.hasOwnProperty(tab_id)) {
+        throw new Error(`No episode loaded in tab ${tab_id}`);
+    }
+    if (!_EXPORT_CREDENTIALS.has(tab_id)) {
+        throw new Error("Sign-in of the tab not known since the browser was idle; reload the episode and try again");
+    }
+    let out = saved[tab_id];
+    out.headers = out.headers.concat(_EXPORT_CREDENTIALS.get(tab_id));
+    return out;
+}
+
+/**
+ * @param {string} name
+ * @returns {string} name, made safe for use as a file name
+ */
+function export_safe_name(name) {
+    return name.replace(EXPORT_UNSAFE_CHARS, '_').replace(/\s+/g, ' ').trim().substring(0, EXPORT_MAX_NAME);
+}
+
+/**
+ * @param {Object} meta CMS metadata of an episode
+ * @param {boolean} episode true to include the episode's number and title
+ * @returns {string} e.g. "Series Title - S01E03 - Episode Title", as much as
+ * is known, or the episode's GUID if nothing is.
+ */
+function export_name(meta, episode) {
+    let ep = meta.episode_metadata || {};
+    let number = (prefix, n) => (n === null || n === undefined) ? '' : `${prefix}${String(n).padStart(2, '0')}`;
+    let parts = [];
+    if (ep.series_title) {
+        parts.push(ep.series_title);
+    }
+    let numbers = number('S', ep.season_number) + (episode ? number('E', ep.episode_number) : '');
+    if (numbers) {
+        parts.push(numbers);
+    }
+    if (episode && meta.title) {
+        parts.push(meta.title);
+    }
+    return export_safe_name(parts.length ? parts.join(' - ') : meta.id);
+}
+
+/**
+ * @param {Promise} promise
+ * @param {AbortSignal} signal
+ * @returns {Promise} Settled as promise is, or rejected once signal is aborted
+ * if that's first
+ */
+function export_within(promise, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        signal.addEventListener('abort', () => reject(signal.reason), { 'once': true });
+        promise.then(resolve, reject);
+    });
+}
+
+/**
+ * Load an episode's script as the player would be given it. Timing and the
+ * version subs are loaded from are taken from the cache, where known.
+ *
+ * @param {Object} request A /play request, as from export_request()
+ * @param {string} guid GUID of the episode
+ * @param {string} lang Language of the script
+ * @param {string} format Format to export it in: "ass", "srt" or "vtt"
+ * @param {AbortSignal|null} signal Signal aborting the export, if bound by a time budget
+ * @returns {Promise<Object>} The script as { name, data, meta } where 'name'
+ * is a file name for it and 'meta' is the episode's CMS metadata.
+ */
+async function export_script(request, guid, lang, format, signal) {
+    let url = request.url.replace(request.guid, guid);
+    let play = new PlayInterceptor({ 'url': url, 'tabId': -1, 'frameId': 0, 'requestHeaders': request.headers });
+    if (signal) {
+        play.abort_with(signal);
+    }
+    let response = await fetch(url, { 'headers': play.headers, 'signal': play.signal() });
+    if (!response.ok) {
+        let hint = (response.status == 401) ? '; reload the episode and try again' : '';
+        throw new Error(`HTTP ${response.status} loading subtitle list${hint}`);
+    }
+    let body = await response.text();
+    play.release_session(guid, JSON.parse(body).token);
+    // Rewritten as the player's response would be, though not bound by an
+    // interceptor's budget; so bound by the export's instead.
+    let subs = JSON.parse(await export_within(play.oncomplete(body), play.signal())).subtitles || {};
+    if (!subs.hasOwnProperty(lang)) {
+        throw new Error(`no ${lang} subtitles`);
+    }
+
+    let loader = new ScriptLoader(request.headers, play.signal(), guid);
+    var script = await loader.load(subs[lang].url);
+    if (script === null) {
+        throw new Error(`could not load ${lang} subtitles`);
+    }
+    let ctx = play.contexts.find((ctx) => ctx.lang == lang);
+    if (ctx) {
+        let rewrite = new ScriptInterceptor({ 'url': ctx.url, 'tabId': -1, 'frameId': 0 }, ctx, play);
+        script = await export_within(rewrite.oncomplete(script), play.signal());
+    }
+    let data = script_convert(script, format);
+    if (data === null) {
+        throw new Error(`unrecognized format of ${lang} subtitles`);
+    }
+
+    let meta = await play.media_metadata(guid);
+    return { 'name': `${export_name(meta, true)}.${lang}.${format}`, 'data': data, 'meta': meta };
+}
+
+/**
+ * Save a file to the downloads folder, asking the user where.
+ *
+ * @param {string} filename Suggested file name
+ * @param {string|Uint8Array} data File contents
+ * @param {string} type MIME type
+ */
+async function export_download(filename, data, type) {
+    let url = URL.createObjectURL(new Blob([data], { 'type': type }));
+    try {
+        let id = await browser.downloads.download({ 'url': url, 'filename': filename, 'saveAs': true });
+        _EXPORT_URLS.set(id, url);
+    } catch (error) {
+        URL.revokeObjectURL(url);
+        throw error;
+    }
+}
+
+/**
+ * Listener for changes to downloads; frees their data once done.
+ */
+function export_download_listener(delta) {
+    if (delta.state && delta.state.current != 'in_progress' && _EXPORT_URLS.has(delta.id)) {
+        URL.revokeObjectURL(_EXPORT_URLS.get(delta.id));
+        _EXPORT_URLS.delete(delta.id);
+    }
+}
+
+/**
+ * Export a script of the episode playing in a tab.
+ *
+ * @param {number} tab_id
+ * @param {string} lang Language of the script
+ * @param {string} format "ass", "srt" or "vtt"
+ * @returns {Promise<Object>} Result as { files, failed } (for consistency with
+ * export_season, 'failed' is always empty); or raises if the export takes
+ * longer than EXPORT_EPISODE_TIME_BUDGET.
+ */
+async function export_episode(tab_id, lang, format) {
+    let request = await export_request(tab_id);
+    let budget = new AbortController();
+    let timer = setTimeout(() => budget.abort(), EXPORT_EPISODE_TIME_BUDGET);
+    var file;
+    try {
+        file = await export_script(request, request.guid, lang, format, budget.signal);
+    } catch (error) {
+        throw budget.signal.aborted ? new Error(`Gave up after ${EXPORT_EPISODE_TIME_BUDGET}ms`) : error;
+    } finally {
+        clearTimeout(timer);
+    }
+    console.info(`${request.guid}: exporting ${lang} subtitles as ${file.name}`);
+    await export_download(file.name, file.data, EXPORT_TYPES[format]);
+    return { 'files': [file.name], 'failed': [] };
+}
+
+/**
+ * Export scripts of every episode in the season of the episode playing in a
+ * tab, as a zip. Episodes whose scripts can't be exported are left out, as
+ * are any beyond EXPORT_SEASON_MAX_EPISODES or EXPORT_SEASON_TIME_BUDGET.
+ *
+ * @param {number} tab_id
+ * @param {string} lang Language of the scripts
+ * @param {string} format "ass", "srt" or "vtt"
+ * @returns {Promise<Object>} Result as { files, failed } where 'files' are the
+ * names of files in the zip and 'failed' describes each episode left out.
+ */
+async function export_season(tab_id, lang, format) {
+    await EpisodeStatus.restored();
+    let status = EpisodeStatus.for_tab(tab_id);
+    if (!status || !status.season_id) {
+        throw new Error("Season of current episode not known");
+    }
+    let request = await export_request(tab_id);
+    let lister = new PlayInterceptor({ 'url': request.url, 'tabId': -1, 'frameId': 0, 'requestHeaders': request.headers });
+    let episodes = await lister.season_episodes(status.season_id);
+
+    let files = [];
+    let failed = [];
+    let budget = new AbortController();
+    let timer = setTimeout(() => budget.abort(), EXPORT_SEASON_TIME_BUDGET);
+    for (const [i, episode] of episodes.entries()) {
+        let guid = String(episode.id);
+        if (i >= EXPORT_SEASON_MAX_EPISODES || budget.signal.aborted) {
+            failed.push(`${guid}: left out, beyond what can be exported at once`);
+            continue;
+        }
+        try {
+            let file = await export_script(request, guid, lang, format, budget.signal);
+            if (files.some((other) => other.name == file.name)) {
+                file.name = `${guid} ${file.name}`;
+            }
+            files.push(file);
+        } catch (error) {
+            console.warn(`${guid}: could not export ${lang} subtitles`, error);
+            failed.push(`${guid}: ${error.message}`);
+        }
+    }
+    clearTimeout(timer);
+    if (!files.length) {
+        throw new Error(`No ${lang} subtitles could be exported for season ${status.season_id}`);
+    }
+
+    let name = `${export_name(files[0].meta, false)}.${lang}.zip`;
+    console.info(`${status.season_id}: exporting ${files.length} of ${episodes.length} episodes' ${lang} subtitles as ${name}`);
+    await export_download(name, zip_create(files), EXPORT_TYPES.zip);
+    return { 'files': files.map((file) => file.name), 'failed': failed };
+}
+
+/**
+ * Listener for messages from the popup.
+ */
+function export_listener(message) {
+    if (message.type == 'export_episode') {
+        return export_episode(message.tab_id, message.lang, message.format);
+    }
+    if (message.type == 'export_season') {
+        return export_season(message.tab_id, message.lang, message.format);
+    }
+}
+
+
+browser.runtime.onMessage.addListener(export_listener);
+browser.downloads.onChanged.addListener(export_download_listener);
+browser.tabs.onRemoved.addListener(export_forget_tab);
+browser.webRequest.onBeforeSendHeaders.addListener(export_credentials_listener, {
+    urls: ["*://*.crunchyroll.com/*", "*://cr-play-service.prd.crunchyrollsvc.com/*"],
+}, ["requestHeaders"]);
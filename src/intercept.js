@@ -1,28 +1,138 @@
 // Functionality common to all interceptors.
 
+// Time (ms) an interceptor may spend rewriting a response once it has been
+// received. After that, internal requests are aborted and the original
+// response is passed through unchanged.
+const INTERCEPT_TIME_BUDGET = 15000;
+
+const INTERCEPT_COUNTS_KEY = 'counts';
+
 
 /**
  * An interceptor for a single request in progress (base class).
+ *
+ * However rewriting a response fails, the original response is passed
+ * through unchanged, so the extension never does worse than being disabled.
  */
 class Interceptor {
     static ENCODER = new TextEncoder();
     static DECODER = new TextDecoder("utf-8");
 
+    // Number of responses rewritten, failed and timed out since the browser started.
+    static COUNTS = { 'ok': 0, 'failed': 0, 'timed_out': 0 };
+    static _RESTORED = null;
+
+    /**
+     * Add counts saved before the background page was last suspended to
+     * those since it woke up.
+     *
+     * @returns {Promise} Resolved once restored
+     */
+    static restored() {
+        if (!Interceptor._RESTORED) {
+            Interceptor._RESTORED = session_load(INTERCEPT_COUNTS_KEY).then((saved) => {
+                Object.keys(saved || {}).forEach((key) => {
+                    Interceptor.COUNTS[key] += saved[key];
+                });
+            }).catch((error) => console.warn("Could not restore counts", error));
+        }
+        return Interceptor._RESTORED;
+    }
+
+    /**
+     * @param {string} outcome "ok", "failed" or "timed_out"
+     */
+    static count(outcome) {
+        Interceptor.COUNTS[outcome] += 1;
+        session_save(INTERCEPT_COUNTS_KEY, async () => {
+            await Interceptor.restored();
+            return Interceptor.COUNTS;
+        });
+    }
+
+    /**
+     * Listener for messages from the popup.
+     */
+    static listener(message) {
+        if (message.type == 'counts') {
+            return Interceptor.restored().then(() => Object.assign({}, Interceptor.COUNTS));
+        }
+    }
+
+    /**
+     * @param {Object} request Details of the request. Without a requestId, no
+     * response is filtered: the interceptor is detached, e.g. to rewrite a
+     * response fetched by this extension, by calling oncomplete() directly.
+     */
     constructor(request) {
         this._request = request;
-        this._filter = browser.webRequest.filterResponseData(request.requestId);
-        this._filter.ondata = (event) => { this.ondata(event) };
-        this._filter.onstop = (event) => { this.onstop() };
-        this._filter.onerror = (event) => { this.onerror(this._filter.error) };
+        this._filter = null;
+        if (request.requestId !== undefined) {
+            this._filter = browser.webRequest.filterResponseData(request.requestId);
+            this._filter.ondata = (event) => { this.ondata(event) };
+            this._filter.onstop = (event) => { this.onstop() };
+            this._filter.onerror = (event) => { this.onerror(this._filter.error) };
+        }
         this._buf = '';
+        // Original response, as received.
+        this._chunks = [];
+        this._done = false;
+        this._timed_out = false;
+        this._timer = null;
+        this._abort = new AbortController();
+    }
+
+    /**
+     * @returns {AbortSignal} Signal aborted if this interceptor runs out of
+     * time; to be passed to every fetch made on its behalf.
+     */
+    signal() {
+        return this._abort.signal;
+    }
+
+    /**
+     * Also give up on whatever's in progress on behalf of this interceptor once
+     * signal is aborted, e.g. to share a time budget with others.
+     *
+     * @param {AbortSignal} signal
+     */
+    abort_with(signal) {
+        if (signal.aborted) {
+            this._abort.abort();
+        } else {
+            signal.addEventListener('abort', () => this._abort.abort(), { 'once': true });
+        }
+    }
+
+    /**
+     * Raise if this interceptor has given up on its response, having run out
+     * of time or failed. The original response has been passed through by
+     * then, so oncomplete() must call this after every await which precedes a
+     * side effect, like registering scripts or writing to caches.
+     */
+    check_aborted() {
+        this.signal().throwIfAborted();
     }
 
     onerror(error) {
-        console.error("Aborting filter due to error", error);
-        this._filter.disconnect();
+        console.error("Passing response through unchanged due to error", error);
+        if (!this._timed_out) {
+            Interceptor.count('failed');
+        }
+        // Anything still in progress on behalf of the response is moot.
+        this._abort.abort();
+        this.finish(null);
+    }
+
+    ontimeout() {
+        this._timed_out = true;
+        Interceptor.count('timed_out');
+        this._abort.abort();
+        this.onerror(new Error(`Gave up after ${INTERCEPT_TIME_BUDGET}ms`));
     }
 
     ondata(event) {
+        this._chunks.push(event.data);
         let str = Interceptor.DECODER.decode(event.data, { "stream": true });
         this._buf = this._buf + str;
     }
@@ -34,16 +144,52 @@ class Interceptor {
             // This seems to happen for "raced" requests where FF does a request
             // both from cache and from the server. The slower request ends up
             // discarded and this seems to manifest as an empty response body here.
-            this._filter.disconnect();
+            this.finish(null);
             return;
         }
 
+        this._timer = setTimeout(() => this.ontimeout(), INTERCEPT_TIME_BUDGET);
         this.oncomplete(this._buf).then(
             (body) => {
+                if (!this._done) {
+                    Interceptor.count('ok');
+                    this.finish(body);
+                }
+            }
+        ).catch((error) => {
+            // Errors after giving up (e.g. from aborted fetches) are expected.
+            if (!this._done) {
+                this.onerror(error);
+            }
+        });
+    }
+
+    /**
+     * Write the response and stop filtering. Only the first call has any effect.
+     *
+     * @param {string|null} body Replacement for response body, or null to pass
+     * through the original response unchanged.
+     */
+    finish(body) {
+        if (this._done) {
+            return;
+        }
+        this._done = true;
+        clearTimeout(this._timer);
+        if (!this._filter) {
+            // Detached, so there's no response to write.
+            return;
+        }
+        try {
+            if (body === null) {
+                this._chunks.forEach((chunk) => this._filter.write(chunk));
+            } else {
                 this._filter.write(Interceptor.ENCODER.encode(body));
-                this._filter.disconnect();
             }
-        ).catch((error) => this.onerror(error))
+        } catch (error) {
+            console.error("Could not write response", error);
+        }
+        this._filter.disconnect();
     }
 
     /**
@@ -65,3 +211,7 @@ class Interceptor {
         return body;
     }
 }
+
+
+Interceptor.restored();
+browser.runtime.onMessage.addListener(Interceptor.listener);
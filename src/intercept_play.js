@@ -1,34 +1,12 @@
-// Language for alternative subs (i.e. the media version from which subs are loaded,
-// NOT the language used within the subs).
-//
-// TODO: this should possibly be taken from the media version advertised as
-// "original": true in the API since there's a handful of media for which Japanese
-// isn't the original language. On the other hand, I'm paranoid there may be some
-// videos with that attribute set incorrectly.
-const ALT_LANG = 'ja-JP';
-
-// Min length of subtitle assets in order to be considered "good".
-//
-// A lot of content technically has en-US subs, but they are near-empty;
-// e.g. containing only text for an opening/closing song, translations of
-// some Japanese signs in the video etc. Therefore we cannot simply replace
-// subs only in the "no subs available" case, as we'd mostly see that subs
-// are available while in reality they're mostly empty.
-//
-// This threshold is a size in bytes. If the subtitle asset is less than this
-// number of bytes in length, it's assumed to be one of these near-empty
-// files and we switch on the subtitle replacement logic.
-//
-// TODO: threshold should probably be a factor of the video duration to
-// account for very short or long videos which would naturally have a
-// shorter or longer script.
-const SCRIPT_EMPTY_THRESHOLD = 7500;
-
-
 // Wrapper for response from '/play' endpoint
 class PlayResponse {
-    constructor(raw) {
+    /**
+     * @param {Object} raw Parsed response body
+     * @param {Object} settings Current settings
+     */
+    constructor(raw, settings) {
         this._raw = raw;
+        this._settings = settings;
     }
 
     /**
@@ -39,18 +17,138 @@ class PlayResponse {
     }
 
     /**
-     * @returns GUID of corresponding media using alternative language,
-     * or raises.
+     * @returns {Array<Object>} All versions (dubs and original) of this media.
      */
-    alt_guid() {
-        let versions = this._raw.versions;
-        for (var i = 0; i < versions.length; ++i) {
-            let v = versions[i];
-            if (v.audio_locale == ALT_LANG) {
-                return String(v.guid);
-            }
+    versions() {
+        return this._raw.versions || [];
+    }
+
+    /**
+     * @returns {Object<string, Object>} Raw subtitles map, keyed by language.
+     */
+    subs() {
+        return this._raw.subtitles || {};
+    }
+
+    /**
+     * @returns {Object<string, Object>} Raw closed captions (CC/SDH) map, keyed
+     * by language. Only dubs tend to have captions.
+     */
+    captions() {
+        return this._raw.captions || {};
+    }
+
+    /**
+     * @param {string} lang Language code e.g. "en-US"
+     * @returns {string} How subs in lang should be provided, one of CAPTION_MODES
+     */
+    caption_mode(lang) {
+        let modes = this._settings.caption_modes || {};
+        let mode = modes.hasOwnProperty(lang) ? modes[lang] : this._settings.caption_mode;
+        if (CAPTION_MODES.indexOf(mode) == -1) {
+            console.warn(`Unknown caption mode ${mode} for ${lang}, using auto`);
+            return 'auto';
+        }
+        return mode;
+    }
+
+    /**
+     * @returns {Array<string>|null} Languages to stack in an extra track, as
+     * [bottom, top], or null if none were chosen.
+     */
+    dual_langs() {
+        let langs = this._settings.dual_languages || [];
+        if (langs.length == 0) {
+            return null;
+        }
+        if (langs.length != 2 || langs[0] == langs[1]) {
+            console.warn(`Stacked track needs two different languages, not ${langs.join(', ')}`);
+            return null;
+        }
+        return langs;
+    }
+
+    /**
+     * Check whether the "original" flags on this media's versions can be trusted.
+     *
+     * The flag is occasionally missing or set on the wrong version. We only trust
+     * it if exactly one version claims to be the original, and (if that's the
+     * version being viewed) it looks like an original rather than a dub: originals
+     * come with subtitles while dubs are often near-bare.
+     *
+     * @returns {boolean} true if the original flag looks plausible.
+     */
+    original_flag_ok() {
+        let originals = this.versions().filter((v) => v.original === true);
+        if (originals.length != 1) {
+            return false;
+        }
+        if (originals[0].audio_locale == this.audio_lang()
+            && Object.keys(this.subs()).length == 0
+            && this.versions().length > 1) {
+            return false;
         }
-        throw new Error(`Could not find any version with ${ALT_LANG}`);
+        return true;
+    }
+
+    /**
+     * Check whether the /play response of a proposed source version plausibly
+     * belongs to an original version.
+     *
+     * @param {PlayResponse} source /play response of the flagged original version
+     * @returns {boolean} false if the source offers fewer subtitle languages than
+     * this dub, suggesting it's really another dub.
+     */
+    original_source_ok(source) {
+        return Object.keys(source.subs()).length >= Object.keys(this.subs()).length;
+    }
+
+    /**
+     * Candidate versions to load subtitles from, in order of preference.
+     *
+     * Each entry of the 'source_order' setting is one of:
+     * - "original": the version flagged as original, if the flag looks trustworthy
+     * - a locale such as "ja-JP": the version with that audio language
+     * - "any": every other version, as long as it has subs for the dub's language
+     *
+     * If an entry selects the version being viewed, that version is itself the
+     * preferred source and no further candidates are considered.
+     *
+     * @returns {Array<Object>} Candidates as { guid, audio_lang, via, require_lang },
+     * where 'via' is the source_order entry which selected the candidate and
+     * 'require_lang' (if set) is a subtitle language the source must have.
+     */
+    source_candidates() {
+        let current = this.guid();
+        let out = [];
+        var done = false;
+        let add = (v, via, require_lang) => {
+            let guid = String(v.guid);
+            if (guid == current) {
+                done = done || (via != 'any');
+            } else if (!out.some((c) => c.guid == guid)) {
+                out.push({ 'guid': guid, 'audio_lang': v.audio_locale, 'via': via, 'require_lang': require_lang });
+            }
+        };
+
+        this._settings.source_order.forEach((entry) => {
+            if (done) {
+                return;
+            }
+            if (entry == 'original') {
+                if (this.original_flag_ok()) {
+                    this.versions().filter((v) => v.original === true).forEach((v) => add(v, entry, null));
+                } else {
+                    console.warn(`${current}: ignoring untrustworthy "original" flags on versions`);
+                }
+            } else if (entry == 'any') {
+                this.versions().forEach((v) => add(v, entry, this.audio_lang()));
+            } else {
+                this.versions().filter((v) => v.audio_locale == entry).forEach((v) => add(v, entry, null));
+            }
+        });
+
+        return out;
     }
 
     /**
@@ -88,30 +186,78 @@ class PlayResponse {
     }
 
     /**
-     * @param {Promise<string|null>} dub_script Promise for dub script contents
-     * @returns {Promise<boolean>} True if subs matching the dub's language should be replaced.
-     * This is true in the (very common) case where e.g. an English video advertises that
-     * English subs are available, but the subs are virtually empty.
+     * Judge whether the dub's own subs in its audio language are a real
+     * translation, or should be replaced. They should be in the (very common)
+     * case where e.g. an English video advertises that English subs are
+     * available, but the subs hold only signs and song lyrics.
+     *
+     * @param {Promise<Object|null>} dub_stats Promise for script_dialogue_stats()
+     * of the dub's script, or null if there is none
+     * @param {Promise<Object|null>} alt_stats Promise for script_dialogue_stats()
+     * of the script which would replace it, or null if not known
+     * @param {Promise<number|null>} duration Promise for duration (ms) of the
+     * media, or null if not known
+     * @param {string} alt_guid GUID of the version subs would be loaded from
+     * @returns {Promise<Object>} Decision as { replace, label, reason, stats,
+     * alt_stats, duration }. 'replace' is true if subs matching the dub's language
+     * should be replaced. 'label' is "missing" (no subs), "empty" (no events),
+     * "signs" (only signs and songs), "sparse" (too little dialogue) or
+     * "dialogue" (a real translation); 'reason' explains it.
      */
-    async should_replace_dub_sub(dub_script) {
+    async should_replace_dub_sub(dub_stats, alt_stats, duration, alt_guid) {
         let guid = this.guid();
-        let alt_guid = this.alt_guid();
         let dub_lang = this.audio_lang();
-
-        let script_text = await dub_script;
-        if (script_text === null) {
+        let stats = await dub_stats;
+        let alt = await alt_stats;
+        let ms = await duration;
+        let decision = (replace, label, reason) => {
+            console.info(`${guid}: ${replace ? `replacing ${dub_lang} subs from ${alt_guid}` : `not replacing ${dub_lang} subs`}`
+                + ` as ${reason}`);
+            return { 'replace': replace, 'label': label, 'reason': reason, 'stats': stats, 'alt_stats': alt, 'duration': ms };
+        };
+        let seconds = (value) => `${Math.round(value / 1000)}s`;
+        let percent = (value) => `${Math.round(value * 100)}%`;
+
+        if (stats === null) {
             // There are no subs for the desired lang, so we ought to fetch some.
-            console.info(`${guid}: replacing ${dub_lang} subs from ${alt_guid} as subs are missing entirely`);
-            return true;
+            return decision(true, 'missing', 'subs are missing entirely');
+        }
+        if (stats.events == 0) {
+            return decision(true, 'empty', 'script has no events');
+        }
+        if (stats.dialogue == 0) {
+            return decision(true, 'signs', `all ${stats.events} events are signs or songs`);
         }
 
-        // There are subs, but are they any good?
-        if (script_text.length > SCRIPT_EMPTY_THRESHOLD) {
-            console.info(`${guid}: not replacing ${dub_lang} subs as script length of ${script_text.length} exceeds threshold`);
-            return false;
+        // There's dialogue, but is there enough of it? Ideally that's judged
+        // against the script which would replace it, as the amount of dialogue
+        // varies a lot between shows.
+        let shown = `${stats.dialogue} of ${stats.events} events are dialogue, on screen for ${seconds(stats.dialogue_ms)}`;
+        if (alt && alt.dialogue_ms > 0) {
+            let min = this._settings.dialogue_min_share;
+            let share = stats.dialogue_ms / alt.dialogue_ms;
+            let compared = `${shown}, ${percent(share)} as long as in ${alt_guid}'s script (min ${percent(min)})`;
+            return (share < min) ? decision(true, 'sparse', compared) : decision(false, 'dialogue', compared);
         }
-        console.info(`${guid}: replacing ${dub_lang} subs from ${alt_guid} as script length of ${script_text.length} is below threshold`);
-        return true;
+        if (ms) {
+            let min = this._settings.dialogue_min_coverage;
+            let coverage = stats.dialogue_ms / ms;
+            let compared = `${shown}, ${percent(coverage)} of the video (min ${percent(min)})`;
+            return (coverage < min) ? decision(true, 'sparse', compared) : decision(false, 'dialogue', compared);
+        }
+        return decision(false, 'dialogue', `${shown}, with nothing to compare that with`);
+    }
+
+    /**
+     * @returns {Object} The parts of this response needed to use it as a
+     * subtitle source, suitable for caching.
+     */
+    cache_object() {
+        return {
+            'audioLocale': this._raw.audioLocale,
+            'versions': this.versions(),
+            'subtitles': this.subs(),
+        };
     }
 
     /**
@@ -131,87 +277,438 @@ class PlayInterceptor extends Interceptor {
         super(request);
         // Headers used for later requests to be authenticated correctly.
         this.headers = new Headers(request.requestHeaders.map((x) => [x['name'], x['value']]))
+        // Contexts for the scripts added or replaced, once the response is rewritten.
+        this.contexts = [];
     }
 
     /**
      * @param {string} guid GUID of any media object.
-     * @returns {Promise<number>} Duration (ms) of a media object with given GUID.
+     * @returns {Promise<Object>} CMS metadata of a media object with given GUID.
      */
-    async media_duration(guid) {
+    async media_metadata(guid) {
         let url = `https://www.crunchyroll.com/content/v2/cms/objects/${guid}`;
-        let opts = { "headers": this.headers };
+        let opts = { "headers": this.headers, "signal": this.signal() };
+        const response = await fetch(url, opts);
+        const meta = await response.json();
+        return meta.data[0];
+    }
+
+    /**
+     * Release the playback session opened by a /play request this extension
+     * made, so it doesn't count towards the account's concurrent streams.
+     *
+     * @param {string} guid GUID of the media requested
+     * @param {string|undefined} token Session token from the /play response
+     * @returns {Promise} Resolved once released, or once that has failed
+     */
+    async release_session(guid, token) {
+        if (!token) {
+            return;
+        }
+        // Not bound by this interceptor's signal: sessions are released however it ends.
+        let url = `https://cr-play-service.prd.crunchyrollsvc.com/v1/token/${guid}/${token}`;
+        try {
+            const response = await fetch(url, { "method": "DELETE", "headers": this.headers });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        } catch (error) {
+            console.info(`${guid}: could not release playback session`, error);
+        }
+    }
+
+    /**
+     * @param {string} season_id ID of a season
+     * @returns {Promise<Array<Object>>} CMS metadata of all episodes of the season,
+     * in order.
+     */
+    async season_episodes(season_id) {
+        let url = `https://www.crunchyroll.com/content/v2/cms/seasons/${season_id}/episodes`;
+        let opts = { "headers": this.headers, "signal": this.signal() };
         const response = await fetch(url, opts);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading episodes of ${season_id}`);
+        }
         const meta = await response.json();
-        let out = meta.data[0].episode_metadata.duration_ms;
-        console.debug(`${guid} duration: ${out}ms`);
+        return meta.data;
+    }
+
+    /**
+     * @param {Promise<Object>} metadata CMS metadata of any media object.
+     * @returns {Promise<number>} Duration (ms) of that media object.
+     */
+    async media_duration(metadata) {
+        let meta = await metadata;
+        let out = meta.episode_metadata.duration_ms;
+        console.debug(`${meta.id} duration: ${out}ms`);
         return out;
     }
 
-    async oncomplete(body) {
-        let media = new PlayResponse(JSON.parse(body));
+    /**
+     * @param {string} guid GUID of any media object.
+     * @returns {Promise<Object|null>} Skip events of that media object, from
+     * skip_events_parse, or null if it has none.
+     */
+    async media_skip_events(guid) {
+        try {
+            const response = await fetch(skip_events_url(guid), { "signal": this.signal() });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            let out = skip_events_parse(await response.json());
+            console.debug(`${guid} skip events: ${Object.keys(out).join(', ') || 'none'}`);
+            return out;
+        } catch (error) {
+            console.info(`${guid}: no skip events`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Find the version to load subtitles from, walking the candidates from
+     * PlayResponse.source_candidates() in order.
+     *
+     * @param {PlayResponse} media Media being viewed
+     * @returns {Promise<PlayResponse|null>} /play response of the chosen source
+     * version, or null if none qualifies.
+     */
+    async find_source(media) {
         let guid = media.guid();
-        let alt_guid = media.alt_guid();
+        let candidates = media.source_candidates();
+
+        for (const candidate of candidates) {
+            let url = this.url().replace(guid, candidate.guid);
+            let source;
+            let cached = await cache_get(cache_key(guid, candidate.guid));
+            if (cached && cache_urls_fresh(cached.source.subtitles)) {
+                source = new PlayResponse(cached.source, media._settings);
+            } else {
+                try {
+                    let response = await fetch(url, { "headers": this.headers, "signal": this.signal() });
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    let raw = await response.json();
+                    this.release_session(candidate.guid, raw.token);
+                    source = new PlayResponse(raw, media._settings);
+                } catch (error) {
+                    console.warn(`${guid}: could not load candidate source ${candidate.guid}`, error);
+                    continue;
+                }
+            }
 
-        if (guid == alt_guid) {
-            // We're loading the japanese, nothing to be done.
-            return body;
+            if (candidate.via == 'original' && !media.original_source_ok(source)) {
+                console.warn(`${guid}: ${candidate.guid} is flagged original but doesn't look like it, skipping`);
+                continue;
+            }
+            if (candidate.require_lang && !source.subs().hasOwnProperty(candidate.require_lang)) {
+                console.debug(`${guid}: ${candidate.guid} has no ${candidate.require_lang} subs, skipping`);
+                continue;
+            }
+
+            this.check_aborted();
+            console.debug("Watching dub", guid, "loading subs from", candidate.guid, "via", url, `(${candidate.via})`);
+            this.status.set_source(source, candidate.via);
+            return source;
         }
 
-        let dub_lang = media.audio_lang();
+        return null;
+    }
+
+    /**
+     * Cache what was worked out for an episode, once it's all known, so it
+     * needn't be worked out again next time.
+     *
+     * Script comparisons are done here for every language, rather than only
+     * once a script is displayed, so that the cache is complete.
+     *
+     * @param {string} guid GUID of the media being viewed
+     * @param {PlayResponse} source /play response of the version subs are loaded from
+     * @param {Array<SyncReference>} references Scripts available in both versions
+     * @param {Promise<Object>} metadata CMS metadata of the media being viewed
+     * @param {Promise<number>} duration Duration (ms) of the media being viewed
+     * @param {Promise<number>} alt_duration Duration (ms) of the source version
+     * @param {Promise<Object|null>} skip_events Skip events of the media being viewed
+     * @param {Promise<Object|null>} alt_skip_events Skip events of the source version
+     * @param {Promise<Object|null>} dub_stats Dialogue stats of the dub's own script
+     * @param {Promise<Object|null>} alt_stats Dialogue stats of the source's script
+     * in the dub's language
+     */
+    async cache_results(guid, source, references, metadata, duration, alt_duration, skip_events, alt_skip_events,
+        dub_stats, alt_stats) {
+        let alt_guid = source.guid();
+        let meta = await metadata;
+        let entry = {
+            'source': source.cache_object(),
+            'series_id': meta.episode_metadata.series_id,
+            'season_id': meta.episode_metadata.season_id,
+            'duration': await duration,
+            'alt_duration': await alt_duration,
+            'skip_events': await skip_events,
+            'alt_skip_events': await alt_skip_events,
+            'dub_stats': await dub_stats,
+            'alt_stats': await alt_stats,
+        };
+        // Whatever was cut short by running out of time isn't worth keeping.
+        this.check_aborted();
+        await cache_put(cache_key(guid, alt_guid), entry);
+
+        for (const ref of references) {
+            if (await ref.script() === null || await ref.alt_script() === null) {
+                // Probably a transient failure to fetch; try again next time.
+                continue;
+            }
+            let map = await ref.alignment();
+            this.check_aborted();
+            await cache_put(cache_key(guid, alt_guid, ref.lang), { 'map': map ? map.as_object() : null });
+        }
+    }
+
+    /**
+     * Use the dub's own closed captions as its subs, in languages where the
+     * user prefers them. This is done ahead of borrowing subs from another
+     * version, which then leaves those languages alone.
+     *
+     * @param {PlayResponse} media Media being viewed (modified in place)
+     * @returns {Array<string>} Languages now using the dub's captions
+     */
+    use_captions(media) {
+        let guid = media.guid();
+        let captions = media.captions();
+        let out = [];
+        Object.keys(captions).forEach((lang) => {
+            let mode = media.caption_mode(lang);
+            if (mode != 'captions' && mode != 'captions_clean') {
+                return;
+            }
+            console.info(`${guid}: using dub's own ${lang} captions${(mode == 'captions_clean') ? ', cleaned up' : ''}`);
+            media.set_subs(lang, captions[lang]);
+            out.push(lang);
+            if (mode == 'captions_clean') {
+                let none = Promise.resolve(null);
+                let ctx = new ScriptRewriteContext(
+                    captions[lang].url, media, lang, none, none, none, none, [], mode, this.status);
+                this.contexts.push(ctx);
+                ScriptInterceptor.register(ctx);
+            }
+        });
+        out.sort();
+        this.status.set_captions(out);
+        return out;
+    }
 
-        let dubUrl = this.url();
-        let altUrl = dubUrl.replace(guid, alt_guid);
-        console.debug("Watching dub", guid, "loading subs from", alt_guid, "via", altUrl);
+    onerror(error) {
+        let status = this.status || EpisodeStatus.start(this._request.tabId, null);
+        status.add_error("Loading subtitle list", error);
+        super.onerror(error);
+    }
 
-        let response = await fetch(altUrl, { "headers": this.headers });
-        let responseJson = await response.json();
+    /**
+     * Add a track stacking two languages, if chosen and both are available.
+     * Must be done once the scripts of all other languages are registered.
+     *
+     * @param {PlayResponse} media Media being viewed (modified in place)
+     * @param {ScriptLoader} loader Loads the scripts of both languages
+     * @param {Array<Object>} candidates Raw subs objects of scripts of either
+     * version, one of which may lend its URL to the track (see dual_track_url)
+     * @returns {string|null} Language code of the track added, or null
+     */
+    add_dual_track(media, loader, candidates) {
+        let langs = media.dual_langs();
+        if (!langs) {
+            return null;
+        }
+        let guid = media.guid();
+        let subs = media.subs();
+        let missing = langs.filter((lang) => !subs.hasOwnProperty(lang));
+        if (missing.length) {
+            let warning = `no ${langs.join(' + ')} track: this episode has no ${missing.join(' or ')} subtitles`;
+            console.info(`${guid}: ${warning}`);
+            this.status.add_warning(warning);
+            return null;
+        }
+
+        let [bottom, top] = langs;
+        let lang = dual_track_lang(bottom, top);
+        let used = Object.keys(subs).map((other) => subs[other].url).concat(this.contexts.map((ctx) => ctx.url));
+        let url = dual_track_url(candidates, used);
+        if (url === null) {
+            // Every script the player could load is already in use, leaving the track nothing to be loaded as.
+            let warning = `no ${langs.join(' + ')} track: every subtitle URL of this episode is in use by another track`;
+            console.info(`${guid}: ${warning}`);
+            this.status.add_warning(warning);
+            return null;
+        }
+        let tracks = langs.map((track_lang) => {
+            let track_url = subs[track_lang].url;
+            let ctx = this.contexts.find((ctx) => ctx.url == track_url) || null;
+            return { 'lang': track_lang, 'url': track_url, 'ctx': ctx };
+        });
+        console.info(`${guid}: adding ${lang} subs, stacking ${top} above ${bottom}`);
+        media.set_subs(lang, { 'format': 'ass', 'language': lang, 'url': url });
+
+        let none = Promise.resolve(null);
+        let ctx = new ScriptRewriteContext(
+            url, media, lang, none, none, none, none, [], 'dual', this.status, { 'loader': loader, 'tracks': tracks });
+        this.contexts.push(ctx);
+        ScriptInterceptor.register(ctx);
+        return lang;
+    }
+
+    async oncomplete(body) {
+        // The background page may have just woken up; anything saved before
+        // it was suspended must be restored before being replaced.
+        await ScriptInterceptor.restored();
+        let settings = await settings_load();
+        this.check_aborted();
+        let media = new PlayResponse(JSON.parse(body), settings);
+        let guid = media.guid();
+        this.status = EpisodeStatus.start(this._request.tabId, guid);
+        this.status.frame_id = this._request.frameId;
+        this.status.dub_lang = media.audio_lang();
+        // Scripts registered for whatever this frame played before won't be needed again.
+        ScriptInterceptor.forget_frame(this._request.tabId, this._request.frameId);
+        export_remember(this._request.tabId, this._request, guid);
 
         // Make a copy of original subs before we start messing with them.
         let subs = {};
         Object.assign(subs, media._raw.subtitles);
 
-        let alt_subs = responseJson.subtitles;
-
-        // Regardless of the user's selected subtitle language we are always going to
-        // need the script for the current audio language from both the media and
-        // alt_media, for purposes of timing sync. We might *also* need these scripts
-        // later if these are what the user wants to display. So we start these fetches
-        // early and keep around the promises for repeated reuse.
-        var dub_fetch = Promise.resolve(null);
-        var dub_alt_fetch = Promise.resolve(null);
-        if (subs.hasOwnProperty(dub_lang)) {
-            let url = subs[dub_lang].url;
-            dub_fetch = fetch(url, { 'headers': this.headers }).then((response) => response.text());
-        }
-        if (alt_subs.hasOwnProperty(dub_lang)) {
-            let url = alt_subs[dub_lang].url;
-            dub_alt_fetch = fetch(url, { 'headers': this.headers }).then((response) => response.text());
-            // Going to await this now because we will set up an intercept for this and we want to
-            // be sure that the fetch happens before that.
-            await dub_alt_fetch;
+        let captioned = this.use_captions(media);
+
+        let source = await this.find_source(media);
+        this.check_aborted();
+        if (!source) {
+            // Either we're loading the original, or there's nothing suitable to
+            // load subs from; nothing more to be done.
+            console.info(`${guid}: no other version qualifies as a subtitle source, leaving subs untouched`);
+            let loader = new ScriptLoader(this._request.requestHeaders, this.signal(), guid);
+            let dual = this.add_dual_track(media, loader, Object.values(subs).concat(Object.values(media.captions())));
+            if (dual) {
+                this.status.set_copied([dual]);
+            }
+            this.status.set_langs(Object.keys(media.subs()));
+            return (captioned.length || dual) ? media.as_json() : body;
         }
+        let alt_guid = source.guid();
+
+        let dub_lang = media.audio_lang();
 
-        // These will also always be needed.
-        let duration = this.media_duration(guid);
-        let alt_duration = this.media_duration(alt_guid);
+        let alt_subs = source.subs();
+
+        let loader = new ScriptLoader(this._request.requestHeaders, this.signal(), guid);
+
+        let langs = Object.keys(subs).filter((lang) => alt_subs.hasOwnProperty(lang));
+        console.debug(`${guid}: languages available for sync: ${langs.join(', ')}`);
+
+        // If this episode was seen before, everything but the scripts to be displayed
+        // may already be known.
+        let cached = await cache_get(cache_key(guid, alt_guid));
+        let cached_maps = cached
+            ? await Promise.all(langs.map((lang) => cache_get(cache_key(guid, alt_guid, lang))))
+            : [];
+        this.check_aborted();
+        var references, dub_stats, alt_stats, duration, alt_duration, skip_events, alt_skip_events;
+
+        // Entries cached by older versions, without dialogue stats or skip events, are worked out again.
+        let complete = cached && cached.hasOwnProperty('dub_stats') && cached.hasOwnProperty('skip_events');
+        if (complete && cached_maps.every((entry) => entry !== null)) {
+            console.info(`${guid}: using cached timing and durations for ${alt_guid}`);
+            this.status.cached = true;
+            this.status.series_id = cached.series_id;
+            this.status.season_id = cached.season_id || null;
+            references = langs.map((lang, i) => {
+                return SyncReference.cached(lang, subs[lang], alt_subs[lang], loader, cached_maps[i].map);
+            });
+            dub_stats = Promise.resolve(cached.dub_stats);
+            alt_stats = Promise.resolve(cached.alt_stats);
+            duration = Promise.resolve(cached.duration);
+            alt_duration = Promise.resolve(cached.alt_duration);
+            skip_events = Promise.resolve(cached.skip_events);
+            alt_skip_events = Promise.resolve(cached.alt_skip_events);
+        } else {
+            // Regardless of the user's selected subtitle language we are always going to
+            // need the scripts for every language available in both media and alt_media,
+            // for purposes of timing sync. We might *also* need these scripts later if these
+            // are what the user wants to display. So we start these fetches early; the
+            // references keep them around for repeated reuse.
+            references = langs.map((lang) => {
+                let ref = new SyncReference(lang, subs[lang], alt_subs[lang], loader);
+                ref.script();
+                ref.alt_script();
+                return ref;
+            });
+
+            // The script for the current audio language, and the one which would replace it,
+            // are needed to decide whether to replace it.
+            let dub_ref = references.find((ref) => ref.lang == dub_lang);
+            var dub_fetch = Promise.resolve(null);
+            if (dub_ref) {
+                dub_fetch = dub_ref.script();
+            } else if (subs.hasOwnProperty(dub_lang)) {
+                dub_fetch = loader.load(subs[dub_lang].url);
+            }
+            let stats = (script) => (script === null) ? null : script_dialogue_stats(script);
+            dub_stats = dub_fetch.then(stats);
+            alt_stats = dub_ref ? dub_ref.alt_script().then(stats) : Promise.resolve(null);
+
+            // These will also always be needed.
+            let metadata = this.media_metadata(guid);
+            duration = this.media_duration(metadata);
+            alt_duration = this.media_duration(this.media_metadata(alt_guid));
+            skip_events = this.media_skip_events(guid);
+            alt_skip_events = this.media_skip_events(alt_guid);
+            // Failures are dealt with wherever durations are used, which they
+            // aren't if this interceptor gives up.
+            [duration, alt_duration].forEach((promise) => promise.catch(() => { }));
+            metadata.then((meta) => {
+                this.check_aborted();
+                this.status.series_id = meta.episode_metadata.series_id;
+                this.status.season_id = meta.episode_metadata.season_id;
+                this.status.save();
+            }).catch(() => { });
+
+            this.cache_results(
+                guid, source, references, metadata, duration, alt_duration, skip_events, alt_skip_events, dub_stats, alt_stats,
+            ).catch((error) => {
+                console.warn(`${guid}: could not cache results`, error);
+            });
+        }
 
-        let should_replace_sub = await media.should_replace_dub_sub(dub_fetch);
+        let replace_decision = await media.should_replace_dub_sub(
+            dub_stats, alt_stats, duration.catch(() => null), alt_guid);
+        this.check_aborted();
+        this.status.set_replace(replace_decision);
+        let should_replace_sub = replace_decision.replace;
         let copied = [];
 
         Object.keys(alt_subs).filter((k) => alt_subs.hasOwnProperty(k)).forEach((lang) => {
+            if (captioned.indexOf(lang) != -1) {
+                return;
+            }
             let alt_sub = alt_subs[lang];
+            let mode = media.caption_mode(lang);
+            // Borrowed subs were chosen for this language, whatever the dub's own are like.
+            let chosen = (mode == 'subs' || mode == 'merged');
             var copy_sub = false;
+            var merge = false;
 
             // If dub lang already exists, it should be replaced only if should_replace_sub says
-            // so (e.g. because the dub subs are bad/empty) 
-            if (lang === dub_lang && Object.hasOwnProperty(subs, lang) && should_replace_sub) {
-                console.debug(`${guid}: replacing subs for dub lang ${lang}`)
+            // so (e.g. because the dub subs are bad/empty), or if borrowed subs were chosen.
+            // The dub's own signs and songs are kept by merging them into the replacement,
+            // if enabled.
+            if (subs.hasOwnProperty(lang) && (chosen || (lang === dub_lang && should_replace_sub))) {
+                console.debug(`${guid}: replacing subs for ${lang}${chosen ? ` as ${mode} subs were chosen` : ''}`)
                 copy_sub = true;
+                let merge_wanted = chosen ? (mode == 'merged') : settings.merge_signs;
+                if (merge_wanted && subs[lang].format == "ass" && alt_sub.format == "ass") {
+                    merge = true;
+                }
             }
 
             // Anything missing will be copied over. This might include the dub_lang for
             // dubs with no subs whatsoever.
-            if (!Object.hasOwnProperty(subs, lang)) {
+            if (!subs.hasOwnProperty(lang)) {
                 console.debug(`${guid}: copying subs for missing lang ${lang}`)
                 copy_sub = true;
             }
@@ -226,17 +723,27 @@ class PlayInterceptor extends Interceptor {
                     lang,
                     duration,
                     alt_duration,
-                    dub_fetch,
-                    dub_alt_fetch,
-                    subs,
-                    alt_subs,
+                    skip_events,
+                    alt_skip_events,
+                    references,
+                    merge ? 'merged' : 'subs',
+                    this.status,
                 );
+                this.contexts.push(ctx);
                 ScriptInterceptor.register(ctx);
             }
         });
 
+        let candidates = [subs, media.captions(), alt_subs].flatMap((map) => Object.values(map));
+        let dual = this.add_dual_track(media, loader, candidates);
+        if (dual) {
+            copied.push(dual);
+        }
+
         copied.sort();
         console.info(`${guid}: added/replaced subs: ${copied.join(', ')}`)
+        this.status.set_copied(copied);
+        this.status.set_langs(Object.keys(media.subs()));
 
         let rewrote = media.as_json();
         console.debug("Rewritten media:", rewrote);
@@ -250,6 +757,11 @@ class PlayInterceptor extends Interceptor {
  * Filters and rewrites responses to add missing subtitle metadata.
  */
 function playListener(request) {
+    if (request.tabId < 0) {
+        // Not requested by a tab, e.g. this extension's own requests for
+        // other versions or for exports, which expect the original response.
+        return;
+    }
     console.debug(`Loading (play): ${request.url}`);
     new PlayInterceptor(request);
 }
@@ -259,4 +771,12 @@ browser.webRequest.onBeforeSendHeaders.addListener(playListener, {
     urls: ["*://cr-play-service.prd.crunchyrollsvc.com/v1/*/web/firefox/play"],
 }, ["blocking", "requestHeaders"]);
 
+browser.runtime.onInstalled.addListener(async () => {
+    // Access to Crunchyroll may not have been granted on install; the
+    // preferences page lets the user grant it.
+    if (!await permissions_ok()) {
+        browser.runtime.openOptionsPage();
+    }
+});
+
 console.info("Ready to intercept requests");
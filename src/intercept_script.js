@@ -1,12 +1,201 @@
-// Max time adjustment (on top of duration adjustment) we're willing to make
-// based on fuzzy script comparison.
-//
-// Since the comparison between two scripts can potentially go wrong, the idea
-// here is that a too large value is probably incorrect and it'd be better to
-// just go with duration-based adjustment in that case.
-const SCRIPT_MAX_ADJUST = 60000;
+const SCRIPT_CONTEXTS_KEY = 'contexts';
 
 
+/**
+ * Loads scripts on behalf of an intercepted /play request, authenticated the
+ * same way.
+ */
+class ScriptLoader {
+    /**
+     * @param {Array<Object>} headers Headers of the /play request, as { name, value }
+     * @param {AbortSignal|null} signal Signal aborting the /play interceptor's requests
+     * @param {string} guid GUID of media being viewed, for log messages
+     */
+    constructor(headers, signal, guid) {
+        this.headers = headers;
+        this.signal = signal;
+        this.guid = guid;
+    }
+
+    /**
+     * @param {Object} obj A loader as returned by as_object()
+     * @returns {ScriptLoader}
+     */
+    static from_object(obj) {
+        return new ScriptLoader(obj.headers, null, obj.guid);
+    }
+
+    /**
+     * @returns {Object} This loader as plain data, for saving to
+     * storage.session. Credentials aren't saved; script URLs are signed, so
+     * scripts load without them once restored.
+     */
+    as_object() {
+        return { 'headers': session_headers(this.headers), 'guid': this.guid };
+    }
+
+    /**
+     * @param {string} url URL of a script
+     * @param {AbortSignal|null} signal Signal aborting the request, if not the
+     * /play interceptor's: that of whichever interceptor the script is for
+     * @returns {Promise<string|null>} The script, or null if it couldn't be loaded
+     */
+    load(url, signal) {
+        let opts = {
+            'headers': new Headers(this.headers.map((x) => [x['name'], x['value']])),
+            'signal': signal || this.signal,
+        };
+        return fetch(url, opts).then((response) => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.text();
+        }).catch((error) => {
+            console.warn(`${this.guid}: could not load script ${url}`, error);
+            return null;
+        });
+    }
+}
+
+
+/**
+ * A pair of scripts in the same language, one from each version, which can be
+ * compared to work out the timing difference between versions.
+ */
+class SyncReference {
+    /**
+     * @param {string} lang Language of both scripts
+     * @param {Object} sub Raw subs object from current media object
+     * @param {Object} alt_sub Raw subs object from alternative media object
+     * @param {ScriptLoader} loader Loads both scripts, when first needed
+     */
+    constructor(lang, sub, alt_sub, loader) {
+        this.lang = lang;
+        this.sub = JSON.parse(JSON.stringify(sub));
+        this.alt_sub = JSON.parse(JSON.stringify(alt_sub));
+        this.loader = loader;
+        this._script = null;
+        this._alt_script = null;
+        this._alignment = null;
+        // Result of the comparison, once done.
+        this._aligned = false;
+        this._map = null;
+    }
+
+    /**
+     * @param {string} lang Language of both scripts
+     * @param {Object} sub Raw subs object from current media object
+     * @param {Object} alt_sub Raw subs object from alternative media object
+     * @param {ScriptLoader} loader Loads both scripts, if needed for anything else
+     * @param {Object|null} map Result of an earlier comparison, from TimingMap.as_object()
+     * @returns {SyncReference} A reference whose comparison was already done.
+     */
+    static cached(lang, sub, alt_sub, loader, map) {
+        let out = new SyncReference(lang, sub, alt_sub, loader);
+        out._aligned = true;
+        out._map = map ? TimingMap.from_object(map) : null;
+        out._alignment = Promise.resolve(out._map);
+        return out;
+    }
+
+    /**
+     * @param {Object} obj A reference as returned by as_object()
+     * @returns {SyncReference}
+     */
+    static from_object(obj) {
+        let loader = ScriptLoader.from_object(obj.loader);
+        if (obj.aligned) {
+            return SyncReference.cached(obj.lang, obj.sub, obj.alt_sub, loader, obj.map);
+        }
+        return new SyncReference(obj.lang, obj.sub, obj.alt_sub, loader);
+    }
+
+    /**
+     * @returns {Object} This reference as plain data, for saving to
+     * storage.session; scripts must be loaded again once restored.
+     */
+    as_object() {
+        return {
+            'lang': this.lang,
+            'sub': this.sub,
+            'alt_sub': this.alt_sub,
+            'loader': this.loader.as_object(),
+            'aligned': this._aligned,
+            'map': this._map ? this._map.as_object() : null,
+        };
+    }
+
+    /**
+     * Keep the result of a load or comparison for reuse, unless it's cut short
+     * by signal being aborted; then a later caller starts it again.
+     *
+     * @param {string} name Property the result is kept in
+     * @param {AbortSignal|null} signal Signal of the interceptor it's done for
+     * @param {function(): Promise<any>} start Starts the load or comparison
+     * @returns {Promise<any>} Result kept
+     */
+    _keep(name, signal, start) {
+        if (!this[name]) {
+            let out = start();
+            this[name] = out;
+            out.finally(() => {
+                if (signal && signal.aborted && this[name] === out) {
+                    this[name] = null;
+                }
+            }).catch(() => { });
+        }
+        return this[name];
+    }
+
+    /**
+     * @param {AbortSignal|null} signal Signal of the interceptor it's loaded for
+     * @returns {Promise<string|null>} Script from current media object
+     */
+    script(signal) {
+        return this._keep('_script', signal, () => this.loader.load(this.sub.url, signal));
+    }
+
+    /**
+     * @param {AbortSignal|null} signal Signal of the interceptor it's loaded for
+     * @returns {Promise<string|null>} Script from alternative media object
+     */
+    alt_script(signal) {
+        return this._keep('_alt_script', signal, () => this.loader.load(this.alt_sub.url, signal));
+    }
+
+    /**
+     * Compare the two scripts. The comparison is only done once, however many
+     * scripts are being rewritten based on it.
+     *
+     * @param {AbortSignal|null} signal Signal of the interceptor it's done for
+     * @returns {Promise<TimingMap|null>} Map of alternative script times onto
+     * the current script, or null if the scripts can't be compared.
+     */
+    alignment(signal) {
+        return this._keep('_alignment', signal, () => this._align(signal));
+    }
+
+    async _align(signal) {
+        let script = await this.script(signal);
+        let alt_script = await this.alt_script(signal);
+        if (signal && signal.aborted) {
+            // Not a result worth keeping.
+            return null;
+        }
+        if (script === null || alt_script === null) {
+            return null;
+        }
+
+        let out = script_timing_map(script, alt_script);
+        if (out) {
+            out.reference = this.lang;
+        }
+        this._aligned = true;
+        this._map = out;
+        return out;
+    }
+}
+
 class ScriptRewriteContext {
     /**
      * @param {string} url URL of script to be rewritten
@@ -14,21 +203,97 @@ class ScriptRewriteContext {
      * @param {string} lang Language of script being intercepted
      * @param {Promise<number>} duration Duration (ms) of video being viewed
      * @param {Promise<number>} alt_duration Duration (ms) of alternative video (i.e. JP)
-     * @param {Promise<string|null>} dub_fetch Script of original subs for dub lang
-     * @param {Promise<string|null>} dub_alt_fetch Script of alternative subs for dub lang
-     * @param {Object} subs Raw subs object from current media object
-     * @param {Object} alt_subs Raw subs object from alternative media object
+     * @param {Promise<Object|null>} skip_events Skip events of video being viewed,
+     * from skip_events_parse, or null if it has none
+     * @param {Promise<Object|null>} alt_skip_events Skip events of alternative video
+     * @param {Array<SyncReference>} references Scripts available in both versions
+     * @param {string} mode How to rewrite the script: "subs" to retime it,
+     * "merged" to also merge it with the dub's own script for this language,
+     * "captions_clean" to clean up the dub's own captions (which need no
+     * retiming, nor durations, skip events or references), or "dual" to replace
+     * it with a track stacking two languages (see 'dual')
+     * @param {EpisodeStatus} status Record of what's been done for this episode
+     * @param {Object|null} dual For "dual" mode, the languages to stack as
+     * { loader, tracks } where 'tracks' are the bottom and top languages, each
+     * as { lang, url, ctx } with 'ctx' the context rewriting that language's
+     * script, or null if it's shown as is.
      */
-    constructor(url, media, lang, duration, alt_duration, dub_fetch, dub_alt_fetch, subs, alt_subs) {
+    constructor(url, media, lang, duration, alt_duration, skip_events, alt_skip_events, references, mode, status, dual) {
         this.url = url;
         this.media = media;
         this.lang = lang;
         this.duration = duration;
         this.alt_duration = alt_duration;
-        this.dub_fetch = dub_fetch;
-        this.dub_alt_fetch = dub_alt_fetch;
-        this.subs = JSON.parse(JSON.stringify(subs));
-        this.alt_subs = JSON.parse(JSON.stringify(alt_subs));
+        this.skip_events = skip_events;
+        this.alt_skip_events = alt_skip_events;
+        this.references = references;
+        this.mode = mode;
+        this.status = status;
+        this.dual = dual || null;
+    }
+
+    /**
+     * @param {Object} obj A context as returned by as_object()
+     * @param {EpisodeStatus} status Record of what's been done for the episode
+     * @returns {ScriptRewriteContext}
+     */
+    static from_object(obj, status) {
+        let known = (value) => {
+            if (value !== null) {
+                return Promise.resolve(value);
+            }
+            let out = Promise.reject(new Error("Duration could not be loaded"));
+            out.catch(() => { });
+            return out;
+        };
+        return new ScriptRewriteContext(
+            obj.url,
+            new PlayResponse(obj.media, obj.settings),
+            obj.lang,
+            known(obj.duration),
+            known(obj.alt_duration),
+            Promise.resolve(obj.skip_events || null),
+            Promise.resolve(obj.alt_skip_events || null),
+            obj.references.map((ref) => SyncReference.from_object(ref)),
+            obj.mode,
+            status,
+            obj.dual && {
+                'loader': ScriptLoader.from_object(obj.dual.loader),
+                'tracks': obj.dual.tracks.map((track) => ({
+                    'lang': track.lang,
+                    'url': track.url,
+                    'ctx': track.ctx && ScriptRewriteContext.from_object(track.ctx, status),
+                })),
+            },
+        );
+    }
+
+    /**
+     * @returns {Promise<Object>} This context as plain data, for saving to
+     * storage.session. Resolved once durations and skip events are known.
+     */
+    async as_object() {
+        let settled = (promise) => promise.catch(() => null);
+        return {
+            'url': this.url,
+            'media': this.media.cache_object(),
+            'settings': this.media._settings,
+            'lang': this.lang,
+            'duration': await settled(this.duration),
+            'alt_duration': await settled(this.alt_duration),
+            'skip_events': await this.skip_events,
+            'alt_skip_events': await this.alt_skip_events,
+            'references': this.references.map((ref) => ref.as_object()),
+            'mode': this.mode,
+            'dual': this.dual && {
+                'loader': this.dual.loader.as_object(),
+                'tracks': await Promise.all(this.dual.tracks.map(async (track) => ({
+                    'lang': track.lang,
+                    'url': track.url,
+                    'ctx': track.ctx && await track.ctx.as_object(),
+                }))),
+            },
+        };
     }
 }
 
@@ -36,33 +301,279 @@ class ScriptRewriteContext {
  * An interceptor for a single script request in progress.
  */
 class ScriptInterceptor extends Interceptor {
-    static _INTERCEPT = [];
-    static _MAX_INTERCEPT = 50;
+    // Registered contexts, keyed by tab and frame ("tab_id/frame_id"), then by
+    // script URL, each as { ctx, expires }.
+    static _CONTEXTS = new Map();
+    // Time (ms) a context is kept after registration or last use.
+    static _LIFETIME = 6 * 60 * 60 * 1000;
+
+    static _RESTORED = null;
+    static _RESTORED_DONE = false;
+
+    static _frame_key(tab_id, frame_id) {
+        return `${tab_id}/${frame_id}`;
+    }
+
+    /**
+     * Restore contexts saved before the background page was last suspended.
+     * Only the first call does anything; contexts registered for a frame
+     * since startup win over saved ones.
+     *
+     * @returns {Promise} Resolved once restored
+     */
+    static restored() {
+        if (!ScriptInterceptor._RESTORED) {
+            ScriptInterceptor._RESTORED = (async () => {
+                await EpisodeStatus.restored();
+                let saved = await session_load(SCRIPT_CONTEXTS_KEY) || {};
+                let now = Date.now();
+                Object.keys(saved).forEach((key) => {
+                    if (ScriptInterceptor._CONTEXTS.has(key)) {
+                        return;
+                    }
+                    let contexts = new Map();
+                    saved[key].forEach((entry) => {
+                        let status = EpisodeStatus.for_tab(entry.tab_id);
+                        if (entry.expires < now || !status) {
+                            return;
+                        }
+                        let ctx = ScriptRewriteContext.from_object(entry.ctx, status);
+                        contexts.set(ctx.url, { 'ctx': ctx, 'expires': entry.expires });
+                    });
+                    if (contexts.size) {
+                        ScriptInterceptor._CONTEXTS.set(key, contexts);
+                    }
+                });
+            })().catch((error) => {
+                console.warn("Could not restore script contexts", error);
+            }).finally(() => {
+                ScriptInterceptor._RESTORED_DONE = true;
+            });
+        }
+        return ScriptInterceptor._RESTORED;
+    }
 
+    /**
+     * Save all contexts, so they survive the background page being suspended.
+     */
+    static save_all() {
+        session_save(SCRIPT_CONTEXTS_KEY, async () => {
+            await ScriptInterceptor.restored();
+            let out = {};
+            for (const [key, contexts] of ScriptInterceptor._CONTEXTS) {
+                out[key] = [];
+                for (const entry of contexts.values()) {
+                    out[key].push({
+                        'ctx': await entry.ctx.as_object(),
+                        'tab_id': entry.ctx.status.tab_id,
+                        'expires': entry.expires,
+                    });
+                }
+            }
+            return out;
+        });
+    }
+
+    /**
+     * @param {ScriptRewriteContext} ctx Context for a script the player in
+     * ctx.status's tab and frame may load.
+     */
     static register(ctx) {
-        ScriptInterceptor._INTERCEPT.push(ctx);
-        while (ScriptInterceptor._INTERCEPT.length > ScriptInterceptor._MAX_INTERCEPT) {
-            // Clean up older entries
-            ScriptInterceptor._INTERCEPT.shift();
+        let status = ctx.status;
+        if (status.tab_id < 0) {
+            // Not loaded by a tab (e.g. by this extension), so no player to rewrite scripts for.
+            return;
+        }
+        let key = ScriptInterceptor._frame_key(status.tab_id, status.frame_id);
+        if (!ScriptInterceptor._CONTEXTS.has(key)) {
+            ScriptInterceptor._CONTEXTS.set(key, new Map());
         }
+        ScriptInterceptor._CONTEXTS.get(key).set(ctx.url, {
+            'ctx': ctx,
+            'expires': Date.now() + ScriptInterceptor._LIFETIME,
+        });
+        ScriptInterceptor.save_all();
     }
 
-    static unregister(url) {
-        ScriptInterceptor._INTERCEPT = ScriptInterceptor._INTERCEPT.filter((ctx) => ctx.url != url);
+    /**
+     * @param {ScriptRewriteContext} ctx A registered context
+     */
+    static unregister(ctx) {
+        let key = ScriptInterceptor._frame_key(ctx.status.tab_id, ctx.status.frame_id);
+        let contexts = ScriptInterceptor._CONTEXTS.get(key);
+        if (contexts && contexts.has(ctx.url) && contexts.get(ctx.url).ctx === ctx) {
+            contexts.delete(ctx.url);
+            ScriptInterceptor.save_all();
+        }
     }
 
-    static context_for(url) {
-        return ScriptInterceptor._INTERCEPT.find((ctx) => ctx.url == url);
+    /**
+     * @param {number} tab_id
+     * @param {number} frame_id
+     * @returns {Array<string>} URLs of the scripts registered for a frame
+     */
+    static frame_urls(tab_id, frame_id) {
+        let contexts = ScriptInterceptor._CONTEXTS.get(ScriptInterceptor._frame_key(tab_id, frame_id));
+        return contexts ? Array.from(contexts.keys()) : [];
+    }
+
+    /**
+     * Forget contexts registered for whatever a frame was showing before, e.g.
+     * when it loads another episode or navigates elsewhere.
+     *
+     * @param {number} tab_id
+     * @param {number} frame_id
+     */
+    static forget_frame(tab_id, frame_id) {
+        if (ScriptInterceptor._CONTEXTS.delete(ScriptInterceptor._frame_key(tab_id, frame_id))) {
+            ScriptInterceptor.save_all();
+        }
+    }
+
+    /**
+     * @param {number} tab_id Tab whose contexts are all forgotten, e.g. when it's closed
+     */
+    static forget_tab(tab_id) {
+        let prefix = `${tab_id}/`;
+        let keys = Array.from(ScriptInterceptor._CONTEXTS.keys()).filter((key) => key.startsWith(prefix));
+        keys.forEach((key) => ScriptInterceptor._CONTEXTS.delete(key));
+        if (keys.length) {
+            ScriptInterceptor.save_all();
+        }
+    }
+
+    /**
+     * Forget contexts of episodes other than the one a frame now shows, e.g.
+     * when the site moves on to another episode without loading a new page.
+     *
+     * @param {number} tab_id
+     * @param {number} frame_id Frame whose contexts are checked; for the top
+     * frame (0), those of all the tab's frames are.
+     * @param {string} url URL the frame now shows, e.g.
+     * "https://www.crunchyroll.com/watch/GUID/slug"
+     */
+    static forget_other_episodes(tab_id, frame_id, url) {
+        let parts = new URL(url).pathname.split('/');
+        let key = ScriptInterceptor._frame_key(tab_id, frame_id);
+        var changed = false;
+        ScriptInterceptor._CONTEXTS.forEach((contexts, frame_key) => {
+            if (frame_id == 0 ? !frame_key.startsWith(`${tab_id}/`) : frame_key != key) {
+                return;
+            }
+            contexts.forEach((entry, script_url) => {
+                if (!parts.includes(entry.ctx.media.guid())) {
+                    contexts.delete(script_url);
+                    changed = true;
+                }
+            });
+            if (!contexts.size) {
+                ScriptInterceptor._CONTEXTS.delete(frame_key);
+            }
+        });
+        if (changed) {
+            ScriptInterceptor.save_all();
+        }
+    }
+
+    /**
+     * Listener for tabs being closed.
+     */
+    static tab_listener(tab_id) {
+        ScriptInterceptor.restored().then(() => ScriptInterceptor.forget_tab(tab_id));
+    }
+
+    /**
+     * Listener for navigation of any frame; the document committed by a frame
+     * replaces (along with any subframes) whatever the frame showed before.
+     */
+    static navigation_listener(details) {
+        ScriptInterceptor.restored().then(() => {
+            if (details.frameId == 0) {
+                ScriptInterceptor.forget_tab(details.tabId);
+            } else {
+                ScriptInterceptor.forget_frame(details.tabId, details.frameId);
+            }
+        });
+    }
+
+    /**
+     * Listener for a frame's URL changing through the History API, as it does
+     * when the site plays another episode in the same page. The player may
+     * have requested the new episode before the URL changed, so contexts of
+     * the episode the URL shows are kept.
+     */
+    static history_listener(details) {
+        ScriptInterceptor.restored().then(() => {
+            ScriptInterceptor.forget_other_episodes(details.tabId, details.frameId, details.url);
+        });
+    }
+
+    /**
+     * Find the context registered for a script request, preferring the
+     * requesting frame's context over those of other frames in its tab, and
+     * extend its lifetime.
+     *
+     * @param {Object} request Details of a script request
+     * @returns {ScriptRewriteContext|undefined}
+     */
+    static context_for(request) {
+        let now = Date.now();
+        var found = null;
+        ScriptInterceptor._CONTEXTS.forEach((contexts, key) => {
+            contexts.forEach((entry, url) => {
+                if (entry.expires < now) {
+                    contexts.delete(url);
+                }
+            });
+            if (!contexts.size) {
+                ScriptInterceptor._CONTEXTS.delete(key);
+            }
+        });
+
+        let frame_key = ScriptInterceptor._frame_key(request.tabId, request.frameId);
+        let prefix = `${request.tabId}/`;
+        ScriptInterceptor._CONTEXTS.forEach((contexts, key) => {
+            let entry = contexts.get(request.url);
+            if (entry && key.startsWith(prefix) && (!found || key == frame_key)) {
+                found = entry;
+            }
+        });
+        if (!found) {
+            return undefined;
+        }
+        // The player may load the same script again, e.g. when switching back to its language.
+        found.expires = now + ScriptInterceptor._LIFETIME;
+        ScriptInterceptor.save_all();
+        return found.ctx;
     }
 
     /**
      * Listener for requests to script assets.
      *
      * Filters and rewrites script responses only if a script URL has been
-     * previously registered.
+     * previously registered for the requesting tab.
      */
     static listener(request) {
-        let ctx = ScriptInterceptor.context_for(request.url);
+        if (request.tabId < 0) {
+            // Not requested by a tab, e.g. this extension's own fetches.
+            return;
+        }
+        if (!ScriptInterceptor._RESTORED_DONE) {
+            // The background page may have been woken up by this request, so
+            // the request must wait until contexts saved before are restored.
+            return ScriptInterceptor.restored().then(() => {
+                ScriptInterceptor.intercept(request);
+                return {};
+            });
+        }
+        ScriptInterceptor.intercept(request);
+    }
+
+    /**
+     * Rewrite the response to a script request, if its URL has been registered.
+     */
+    static intercept(request) {
+        let ctx = ScriptInterceptor.context_for(request);
         if (!ctx) {
             // Video fragments go through here as well, so this is a little
             // too verbose and misleading.
@@ -76,45 +587,265 @@ class ScriptInterceptor extends Interceptor {
 
     /**
      * @param {ScriptRewriteContext} ctx Context for script adjustment
+     * @param {Interceptor} parent For a detached interceptor rewriting a script
+     * on behalf of another, e.g. one of the languages of a stacked track, the
+     * interceptor whose time budget it shares.
      */
-    constructor(request, ctx) {
+    constructor(request, ctx, parent) {
         super(request);
         this.ctx = ctx;
+        // Adjustments are recorded in season profiles once, by the script's own interceptor.
+        this.record = !parent;
+        if (parent) {
+            this._abort = parent._abort;
+        }
     }
 
     async oncomplete(body) {
+        if (this.ctx.mode == 'captions_clean') {
+            return this.clean_captions(body);
+        }
+        if (this.ctx.mode == 'dual') {
+            return this.dual_script();
+        }
+        this.settings = await settings_load();
+        this.check_aborted();
         let adjust = await this.calculate_adjustment();
-        return this.adjust_times(body, adjust);
+        let out = this.adjust_times(body, adjust);
+        if (this.ctx.mode == 'merged') {
+            out = await this.merge_dub_script(out);
+        }
+        let restyle = restyle_options(this.settings, this.ctx.lang);
+        if (restyle) {
+            out = this.restyle(out, restyle);
+        }
+        return out;
+    }
+
+    /**
+     * @param {string} script Rewritten script
+     * @param {Object} options Style overrides, from restyle_options
+     * @returns {string} script with its dialogue restyled, or script itself
+     * if it can't be restyled.
+     */
+    restyle(script, options) {
+        let out = script_restyle(script, options);
+        if (!out) {
+            console.warn(`${this.ctx.media.guid()}: ${this.ctx.lang} script has no styles, cannot restyle`);
+            return script;
+        }
+        console.info(`${this.ctx.media.guid()}: restyled ${this.ctx.lang} dialogue styles `
+            + `${out.styles.join(', ') || '(none)'} with ${JSON.stringify(options)}`);
+        return out.script;
+    }
+
+    /**
+     * @param {string} script The dub's own captions
+     * @returns {string} script without speaker labels and sound cues, or
+     * script itself if it can't be cleaned up.
+     */
+    clean_captions(script) {
+        let out = captions_clean(script);
+        if (!out) {
+            console.warn("Unexpected captions format, cannot clean up");
+            return script;
+        }
+        console.info(`${this.ctx.media.guid()}: removed speaker labels and sound cues from ${this.ctx.lang} captions, `
+            + `dropping ${out.removed} events left empty`);
+        return out.script;
+    }
+
+    /**
+     * Load the scripts of both languages of a stacked track, rewritten as
+     * they'd be for the player, and stack them.
+     *
+     * @returns {Promise<string>} The stacked track, or the bottom language
+     * alone if the top language's script can't be loaded or stacked; raises
+     * if the bottom language's can't be.
+     */
+    async dual_script() {
+        let dual = this.ctx.dual;
+        let scripts = await Promise.all(dual.tracks.map(async (track, i) => {
+            let script = await dual.loader.load(track.url, this.signal());
+            if (script === null || !track.ctx) {
+                return script;
+            }
+            let nested = new ScriptInterceptor({ 'url': track.url, 'tabId': -1, 'frameId': 0 }, track.ctx, this);
+            let out = nested.oncomplete(script);
+            // The bottom language is needed, but the top one can be done without.
+            return (i == 0) ? out : out.catch((error) => {
+                console.warn(`${this.ctx.media.guid()}: could not rewrite ${track.lang} script`, error);
+                return null;
+            });
+        }));
+        this.check_aborted();
+        let [bottom, top] = dual.tracks.map((track) => track.lang);
+        if (scripts[0] === null) {
+            throw new Error(`Could not load ${bottom} script`);
+        }
+
+        var out = (scripts[1] === null) ? null : script_dual(scripts[0], scripts[1]);
+        if (out === null) {
+            let warning = `could not load or stack ${top} subtitles, showing ${bottom} alone`;
+            console.warn(`${this.ctx.media.guid()}: ${warning}`);
+            this.ctx.status.add_warning(warning);
+            out = script_dual(scripts[0], null);
+        }
+        if (out === null) {
+            throw new Error("Unexpected script format, cannot stack scripts");
+        }
+        console.info(`${this.ctx.media.guid()}: stacked ${dual.tracks.map((track) => track.lang).join(' and ')} scripts, `
+            + `matching the times of ${out.paired} lines`);
+        return out.script;
+    }
+
+    /**
+     * @param {string} script Rewritten script
+     * @returns {Promise<string>} script merged with the dub's own signs and songs,
+     * or script itself if they can't be merged.
+     */
+    async merge_dub_script(script) {
+        let ref = this.ctx.references.find((ref) => ref.lang == this.ctx.lang);
+        let dub_script = ref ? await ref.script(this.signal()) : null;
+        let merged = (dub_script === null) ? null : script_merge(dub_script, script);
+        if (merged === null) {
+            console.warn(`${this.ctx.media.guid()}: could not merge ${this.ctx.lang} script with dub's own script`);
+            return script;
+        }
+        console.info(`${this.ctx.media.guid()}: merged ${this.ctx.lang} script with dub's own signs and songs`);
+        return merged;
     }
 
     onerror(error) {
         // If any error occurs, unregister this URL to break any infinite loops.
-        let url = this.url();
-        console.warn(`Unregistering ${url} due to error`);
-        ScriptInterceptor.unregister(url);
+        console.warn(`Unregistering ${this.url()} due to error`);
+        ScriptInterceptor.unregister(this.ctx);
+        this.ctx.status.add_error(`Adjusting ${this.ctx.lang} subtitles`, error);
         super.onerror(error);
     }
 
     /**
-     * 
-     * @param {string} script Script to be adjusted
-     * @returns {Promise<number>} Proposed adjustment in milliseconds
+     * @returns {Promise<TimingMap>} Proposed adjustment
      */
     async calculate_adjustment() {
-        let duration_adjust = await this.calculate_duration_adjustment();
+        let guid = this.ctx.media.guid();
+        let manual = await this.manual_adjustment();
+        this.check_aborted();
+        if (manual) {
+            let out = TimingMap.constant(manual.offset);
+            let how = `manual ${manual.scope} override`;
+            console.info(`${guid}: times of ${this.ctx.lang} script adjusted by ${out.describe()} using ${how}`);
+            // Not recorded in the season's profile: only offsets worked out from the episode itself are.
+            this.ctx.status.add_adjustment(this.ctx.lang, out, how);
+            return out;
+        }
 
-        let dub_lang = this.ctx.media.audio_lang();
-        let sub = this.ctx.subs[dub_lang];
-        let alt_sub = this.ctx.alt_subs[dub_lang];
-        let script_adjust = await this.calculate_script_adjustment(duration_adjust, sub, alt_sub);
+        let duration_adjust = await this.calculate_duration_adjustment();
+        let script_adjust = await this.calculate_script_adjustment(duration_adjust);
+        let skip_adjust = await this.calculate_skip_adjustment(duration_adjust);
+        let typical = await this.season_adjustment();
+        let alt_duration = await this.ctx.alt_duration.catch(() => null);
+        this.check_aborted();
 
-        let out = (script_adjust === null) ? duration_adjust : script_adjust;
-        let how = (script_adjust === null) ? 'duration' : 'script comparison';
-        console.info(`${this.ctx.media.guid()}: times of ${this.ctx.lang} script adjusted by ${out}ms using ${how}`);
+        var out, how;
+        if (script_adjust !== null || skip_adjust !== null) {
+            ({ 'map': out, 'how': how } = this.derived_adjustment(script_adjust, skip_adjust, alt_duration));
+            let offset = this.midpoint_offset(out, alt_duration);
+            if (this.record) {
+                this.record_adjustment(offset);
+            }
+            if (typical && Math.abs(offset - typical.offset) > PROFILE_DISAGREE) {
+                let warning = `${this.ctx.lang} timing of ${out.describe()} differs from the season's `
+                    + `typical ${typical.offset}ms (${typical.episodes} episodes)`;
+                console.warn(`${guid}: ${warning}`);
+                this.ctx.status.add_warning(warning);
+            }
+        } else if (typical) {
+            out = TimingMap.constant(typical.offset);
+            how = `season's typical offset (${typical.episodes} episodes)`;
+        } else {
+            out = TimingMap.constant(duration_adjust);
+            how = 'duration';
+        }
+        console.info(`${guid}: times of ${this.ctx.lang} script adjusted by ${out.describe()} `
+            + `(${out.method()}) using ${how}`);
+        this.ctx.status.add_adjustment(this.ctx.lang, out, how);
 
         return out;
     }
 
+    /**
+     * Pick between adjustments worked out from the episode's scripts and from
+     * its skip events. Where both are known, each is checked against the other
+     * in the middle of the episode: if they disagree, the more confident wins.
+     *
+     * @param {TimingMap|null} script_adjust Adjustment from script comparison
+     * @param {TimingMap|null} skip_adjust Adjustment from skip events
+     * @param {number|null} alt_duration Duration (ms) of the alternative video, if known
+     * @returns {Object} Adjustment to use as { map, how }; at least one of
+     * script_adjust and skip_adjust must be given.
+     */
+    derived_adjustment(script_adjust, skip_adjust, alt_duration) {
+        let by_script = script_adjust && `script comparison (${script_adjust.reference})`;
+        let by_skip = skip_adjust && `skip events (${skip_adjust.reference})`;
+        if (!script_adjust || !skip_adjust) {
+            return script_adjust ? { 'map': script_adjust, 'how': by_script } : { 'map': skip_adjust, 'how': by_skip };
+        }
+
+        let offset = this.midpoint_offset(script_adjust, alt_duration);
+        let skip_offset = this.midpoint_offset(skip_adjust, alt_duration);
+        if (Math.abs(offset - skip_offset) <= SKIP_AGREE_TOLERANCE) {
+            return { 'map': script_adjust, 'how': `${by_script}, corroborated by ${by_skip}` };
+        }
+        let warning = `${this.ctx.lang} ${by_script} suggests ${offset}ms mid-episode, but ${by_skip} suggest ${skip_offset}ms`;
+        console.warn(`${this.ctx.media.guid()}: ${warning}`);
+        this.ctx.status.add_warning(warning);
+        return (skip_adjust.confidence >= script_adjust.confidence)
+            ? { 'map': skip_adjust, 'how': by_skip }
+            : { 'map': script_adjust, 'how': by_script };
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Offset typical of other episodes of this
+     * season, as { offset, episodes }, or null if there isn't one.
+     */
+    async season_adjustment() {
+        let status = this.ctx.status;
+        let episodes = await profile_load(status.series_id, status.season_id);
+        return profile_typical_offset(episodes, this.ctx.media.guid());
+    }
+
+    /**
+     * @param {TimingMap} map Adjustment worked out for the episode
+     * @param {number|null} alt_duration Duration (ms) of the alternative video, if known
+     * @returns {number} Offset (ms) map applies in the middle of the episode,
+     * which stands for the whole of it when compared with other episodes; or
+     * at the start if the middle isn't known, or was cut from the dub.
+     */
+    midpoint_offset(map, alt_duration) {
+        let offset = alt_duration ? map.offset_at(alt_duration / 2) : null;
+        return (offset === null) ? map.offsets()[0] : offset;
+    }
+
+    /**
+     * Remember a trustworthy adjustment as typical of this episode's season.
+     * @param {number} offset Offset (ms) applied, from midpoint_offset()
+     */
+    record_adjustment(offset) {
+        let status = this.ctx.status;
+        profile_record(status.series_id, status.season_id, this.ctx.media.guid(), offset);
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Manual override set for this episode or
+     * its series, as { offset, scope }, or null.
+     */
+    async manual_adjustment() {
+        // The series and season IDs are known once the metadata the duration comes from has arrived.
+        await this.ctx.duration.catch(() => null);
+        return override_for(this.ctx.media.guid(), this.ctx.status.series_id);
+    }
+
     /**
      * Calculate a timing adjustment by comparing two video durations.
      *
@@ -129,98 +860,108 @@ class ScriptInterceptor extends Interceptor {
     }
 
     /**
-     * Calculate a timing adjustment by comparing two scripts.
+     * Calculate a timing adjustment by comparing scripts of every language
+     * available in both versions, and picking whichever aligns best.
      *
      * @param {number} duration_adjust Current adjustment (ms) based on duration.
-     * @param {object} sub Sub object from current media (e.g. en-US)
-     * @param {object} altsub Sub object from alternative media (e.g. ja-JP)
-     * @returns {Promise<number|null>} Suggested adjustment (ms) or null if calculation fails
+     * @returns {Promise<TimingMap|null>} Suggested adjustment or null if calculation fails
      */
-    async calculate_script_adjustment(duration_adjust, sub, alt_sub) {
-        if (!sub || !alt_sub || sub.format != "ass" || alt_sub.format != "ass") {
-            console.debug("Script-based timing adjustment not available");
-            return null;
+    async calculate_script_adjustment(duration_adjust) {
+        var best = null;
+        for (const ref of this.ctx.references) {
+            let map = await ref.alignment(this.signal());
+            if (map && this.script_adjustment_ok(map, duration_adjust) && map.better_than(best)) {
+                best = map;
+            }
         }
 
-        let script = await this.ctx.dub_fetch;
-        let alt_script = await this.ctx.dub_alt_fetch;
-
-        let adjust = script_timing_adjust(script, alt_script);
-        if (adjust === null) {
+        if (!best) {
             console.info("Could not calculate any timing adjustment via script comparison");
-            return null;
         }
-
-        if (Math.abs(adjust - duration_adjust) > SCRIPT_MAX_ADJUST) {
-            console.warn(`Script adjustment of ${adjust} too far from duration adjustment of ${duration_adjust}`);
-            return null;
-        }
-
-        return adjust;
+        return best;
     }
 
     /**
-     * Try to adjust all Dialogue times in a script.
-     * @param {string} script A script in SSA/ASS format
-     * @param {number} adjust Timing adjustment (ms)
-     * @returns {string} a copy of script with times adjusted by this.adjust
+     * Calculate a timing adjustment from the parts (recap, intro, credits,
+     * preview) marked in either version's skip events.
+     *
+     * @param {number} duration_adjust Current adjustment (ms) based on duration.
+     * @returns {Promise<TimingMap|null>} Suggested adjustment or null if calculation fails
      */
-    adjust_times(script, adjust) {
-        if (!this.format_ok(script)) {
-            console.warn("Unexpected script format, cannot adjust timing");
-            return script;
+    async calculate_skip_adjustment(duration_adjust) {
+        let events = await this.ctx.skip_events;
+        let alt_events = await this.ctx.alt_skip_events;
+        let map = (events && alt_events) ? skip_events_timing_map(events, alt_events) : null;
+        if (!map) {
+            console.info("Could not calculate any timing adjustment via skip events");
+            return null;
         }
 
-        return script.split("\r\n").map((line) => this.adjust_line(line, adjust)).join("\r\n");
+        console.info(`Skip events (${map.reference}) suggest ${map.describe()}, from ${map.support} anchor points, `
+            + `confidence ${map.confidence.toFixed(2)}`);
+        if (map.confidence < this.settings.script_min_confidence) {
+            console.info(`Skip event confidence below ${this.settings.script_min_confidence}, not using it`);
+            return null;
+        }
+        let bad = map.offsets().find((offset) => Math.abs(offset - duration_adjust) > this.settings.script_max_adjust);
+        if (bad !== undefined) {
+            console.warn(`Skip event adjustment of ${bad} too far from duration adjustment of ${duration_adjust}`);
+            return null;
+        }
+        return map;
     }
 
     /**
-     * Adjust timing on a single line of Dialogue. 
-     * @param {string} line A line from a script.
-     * @param {number} adjust A line from a script.
-     * @returns {string} A copy of the line with timing adjusted by this.adjust (ms)
+     * @param {TimingMap} map Adjustment derived from comparing a pair of scripts
+     * @param {number} duration_adjust Current adjustment (ms) based on duration.
+     * @returns {boolean} true if the adjustment is trustworthy enough to be used
      */
-    adjust_line(line, adjust) {
-        if (!line.startsWith("Dialogue: ")) {
-            return line;
+    script_adjustment_ok(map, duration_adjust) {
+        console.info(`Script comparison (${map.reference}) suggests ${map.describe()} (${map.method()}), `
+            + `supported by ${map.support} lines, confidence ${map.confidence.toFixed(2)}`);
+        if (map.confidence < this.settings.script_min_confidence) {
+            console.info(`Script comparison confidence below ${this.settings.script_min_confidence}, not using it`);
+            return false;
         }
 
-        // We have a line like this:
-        //
-        // Dialogue: 0,0:04:08.01,0:04:10.98,...
-        //
-        // Time format is: H:MM:SS.hundredths
-        //
-        // We want to adjust all the times by this.adjust milliseconds.
-        let fields = line.split(',');
-        fields[1] = this.adjust_timestr(fields[1], adjust);
-        fields[2] = this.adjust_timestr(fields[2], adjust);
-        return fields.join(',');
-    }
+        let bad = map.offsets().find((offset) => Math.abs(offset - duration_adjust) > this.settings.script_max_adjust);
+        if (bad !== undefined) {
+            console.warn(`Script adjustment of ${bad} too far from duration adjustment of ${duration_adjust}`);
+            return false;
+        }
 
-    /**
-     * Adjust timing on a single Dialogue-format timestamp.
-     * @param {string} str A timestamp, e.g. "0:04:08.01"
-     * @param {number} adjust A line from a script.
-     * @returns {string} A copy of the timestamp adjusted by this.adjust milliseconds
-     */
-    adjust_timestr(str, adjust) {
-        let original_ms = script_parse_time(str);
-        return script_render_time(original_ms + adjust);
+        return true;
     }
 
     /**
-     * Check if script format is OK for us to work with.
-     * @param {string} script A full script in SSA/ASS format. 
-     * @returns {boolean} true if script format is acceptable
+     * Try to adjust all event times in a script.
+     *
+     * Events falling in material which was cut from the dub, or shifted to
+     * before the start of the video, are dropped.
+     *
+     * @param {string} script A script in SSA/ASS, WebVTT or SRT format
+     * @param {TimingMap} map Timing adjustment
+     * @returns {string} a copy of script with times adjusted by map
      */
-    format_ok(script) {
-        let idx = script.indexOf("Format: Layer,Start,End,");
-        return (idx != -1);
+    adjust_times(script, map) {
+        let out = script_retime_text(script, map);
+        if (!out) {
+            console.warn("Unexpected script format, cannot adjust timing");
+            return script;
+        }
+
+        if (out.dropped) {
+            console.info(`${this.ctx.media.guid()}: dropped ${out.dropped} events of ${this.ctx.lang} script missing from dub`);
+        }
+        return out.script;
     }
 }
 
 
+ScriptInterceptor.restored();
+browser.tabs.onRemoved.addListener(ScriptInterceptor.tab_listener);
+browser.webNavigation.onCommitted.addListener(ScriptInterceptor.navigation_listener);
+browser.webNavigation.onHistoryStateUpdated.addListener(ScriptInterceptor.history_listener);
 browser.webRequest.onBeforeRequest.addListener(ScriptInterceptor.listener, {
     // This is where script/subtitle assets are loaded from.
     urls: ["*://v.vrv.co/*"],
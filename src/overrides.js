@@ -0,0 +1,193 @@
+// Manual timing overrides, set per episode or per series from the popup or
+// with keyboard shortcuts. An override replaces whatever adjustment would
+// otherwise have been calculated.
+
+const OVERRIDES_KEY = 'overrides';
+
+// Keyboard shortcuts (see "commands" in manifest) and the amount (ms) by
+// which each one nudges the current episode's timing.
+const NUDGE_COMMANDS = {
+    'nudge-back-small': -100,
+    'nudge-forward-small': 100,
+    'nudge-back-large': -1000,
+    'nudge-forward-large': 1000,
+};
+
+
+/**
+ * @returns {Promise<Object>} All overrides, as { episode, series } where each
+ * maps an episode GUID or series ID to an offset (ms).
+ */
+async function overrides_load() {
+    let stored = await browser.storage.local.get(OVERRIDES_KEY);
+    let out = { 'episode': {}, 'series': {} };
+    Object.assign(out, stored[OVERRIDES_KEY]);
+    return out;
+}
+
+/**
+ * @param {string} guid GUID of an episode
+ * @param {string|null} series_id ID of the episode's series, if known
+ * @returns {Promise<Object|null>} The override applying to the episode as
+ * { offset, scope }, or null. Episode overrides take priority over series overrides.
+ */
+async function override_for(guid, series_id) {
+    let overrides = await overrides_load();
+    if (overrides.episode.hasOwnProperty(guid)) {
+        return { 'offset': overrides.episode[guid], 'scope': 'episode' };
+    }
+    if (series_id && overrides.series.hasOwnProperty(series_id)) {
+        return { 'offset': overrides.series[series_id], 'scope': 'series' };
+    }
+    return null;
+}
+
+/**
+ * @param {string} scope "episode" or "series"
+ * @param {string} key Episode GUID or series ID
+ * @param {number|null} offset Offset (ms), or null to remove the override
+ */
+async function override_set(scope, key, offset) {
+    let overrides = await overrides_load();
+    if (offset === null) {
+        delete overrides[scope][key];
+    } else {
+        overrides[scope][key] = offset;
+    }
+    await browser.storage.local.set({ [OVERRIDES_KEY]: overrides });
+}
+
+/**
+ * @param {EpisodeStatus} status Status of the episode playing in a tab
+ * @param {string} scope "episode" or "series"
+ * @returns {string} Episode GUID or series ID for that episode, or raises
+ * if it's not known.
+ */
+function override_key(status, scope) {
+    let key = (scope == 'series') ? status.series_id : status.guid;
+    if (!key) {
+        throw new Error(`No ${scope} known for current episode`);
+    }
+    return key;
+}
+
+/**
+ * Have the player in a tab fetch its subtitle tracks again, so that they're
+ * rewritten with the new timing. The page isn't reloaded; if the player's
+ * tracks can't be fetched again that way, the user is told how to do it.
+ *
+ * @param {EpisodeStatus} status Status of the episode playing in the tab
+ */
+async function override_refresh_player(status) {
+    console.info(`${status.guid}: re-fetching subtitles to apply timing override`);
+    await ScriptInterceptor.restored();
+    let urls = ScriptInterceptor.frame_urls(status.tab_id, status.frame_id);
+    let refetched = await browser.tabs.sendMessage(status.tab_id, { 'type': 'refetch_subtitles', 'urls': urls },
+        { 'frameId': status.frame_id }).catch((error) => {
+        console.warn(`${status.guid}: could not ask player to re-fetch subtitles: ${error}`);
+        return false;
+    });
+    if (!refetched) {
+        status.add_warning("The player's subtitles couldn't be fetched again to apply the timing override; "
+            + "pick another subtitle language and then this one again");
+    }
+}
+
+/**
+ * Change the override for the episode playing in a tab, and have the player
+ * fetch its subtitles again to apply it.
+ *
+ * @param {number} tab_id
+ * @param {string} scope "episode" or "series"
+ * @param {function(number|null): number|null} change Given the current
+ * override (or null), returns the new override (or null to remove it)
+ */
+async function override_change(tab_id, scope, change) {
+    await EpisodeStatus.restored();
+    let status = EpisodeStatus.for_tab(tab_id);
+    if (!status) {
+        throw new Error(`No episode loaded in tab ${tab_id}`);
+    }
+    let key = override_key(status, scope);
+    let overrides = await overrides_load();
+    let current = overrides[scope].hasOwnProperty(key) ? overrides[scope][key] : null;
+    let offset = change(current);
+
+    console.info(`${status.guid}: ${scope} timing override for ${key} set to ${offset}`);
+    await override_set(scope, key, offset);
+    await override_refresh_player(status);
+}
+
+/**
+ * Nudge the timing of the episode playing in a tab, relative to the
+ * override in effect or (lacking one) the adjustment last applied.
+ *
+ * @param {number} tab_id
+ * @param {string} scope "episode" or "series"
+ * @param {number} delta Amount (ms) to nudge by
+ */
+async function override_nudge(tab_id, scope, delta) {
+    await EpisodeStatus.restored();
+    let status = EpisodeStatus.for_tab(tab_id);
+    let effective = status ? await override_for(status.guid, status.series_id) : null;
+    await override_change(tab_id, scope, (current) => {
+        var base = current;
+        if (base === null) {
+            base = effective ? effective.offset : (status.applied_offset || 0);
+        }
+        return base + delta;
+    });
+}
+
+/**
+ * @param {number} tab_id
+ * @returns {Promise<Object|null>} Overrides applying to the episode playing in
+ * a tab, as { episode, series } (each null if not set), or null if no
+ * episode is loaded in the tab.
+ */
+async function override_get(tab_id) {
+    await EpisodeStatus.restored();
+    let status = EpisodeStatus.for_tab(tab_id);
+    if (!status) {
+        return null;
+    }
+    let overrides = await overrides_load();
+    return {
+        'episode': overrides.episode.hasOwnProperty(status.guid) ? overrides.episode[status.guid] : null,
+        'series': overrides.series.hasOwnProperty(status.series_id) ? overrides.series[status.series_id] : null,
+    };
+}
+
+/**
+ * Listener for messages from the popup.
+ */
+function override_listener(message) {
+    if (message.type == 'override_get') {
+        return override_get(message.tab_id);
+    }
+    if (message.type == 'override_set') {
+        return override_change(message.tab_id, message.scope, () => message.offset);
+    }
+    if (message.type == 'override_nudge') {
+        return override_nudge(message.tab_id, message.scope, message.delta);
+    }
+}
+
+/**
+ * Listener for keyboard shortcuts; nudges the episode in the active tab.
+ */
+async function override_command(command) {
+    if (!NUDGE_COMMANDS.hasOwnProperty(command)) {
+        return;
+    }
+    let tabs = await browser.tabs.query({ 'active': true, 'currentWindow': true });
+    try {
+        await override_nudge(tabs[0].id, 'episode', NUDGE_COMMANDS[command]);
+    } catch (error) {
+        console.warn(`Could not nudge timing: ${error}`);
+    }
+}
+
+
+browser.runtime.onMessage.addListener(override_listener);
+browser.commands.onCommand.addListener(override_command);
@@ -0,0 +1,25 @@
+// Host permissions, which users may grant or withhold at any time rather
+// than only on install.
+
+
+/**
+ * @returns {Array<string>} Host permissions needed to intercept requests
+ */
+function permissions_hosts() {
+    return browser.runtime.getManifest().host_permissions;
+}
+
+/**
+ * @returns {Promise<boolean>} true if all needed host permissions are granted
+ */
+async function permissions_ok() {
+    return browser.permissions.contains({ 'origins': permissions_hosts() });
+}
+
+/**
+ * Ask the user for all needed host permissions. Must be called from a user action.
+ * @returns {Promise<boolean>} true if granted
+ */
+async function permissions_request() {
+    return browser.permissions.request({ 'origins': permissions_hosts() });
+}
@@ -0,0 +1,111 @@
+// Per-season record of the timing adjustments made to each episode.
+//
+// Dub timing quirks tend to be consistent within a season (the same logo
+// bumper, the same recap), so the offsets found for other episodes make a
+// good guess when an episode's scripts can't be compared.
+
+const PROFILES_KEY = 'profiles';
+
+// Max number of seasons and episodes per season remembered; the oldest are
+// forgotten first.
+const PROFILE_MAX_SEASONS = 200;
+const PROFILE_MAX_EPISODES = 50;
+
+// Min number of other episodes which must agree on an offset for it to be
+// used as the season's typical offset.
+const PROFILE_MIN_EPISODES = 2;
+
+// Max difference (ms) between offsets considered to agree.
+const PROFILE_TOLERANCE = 500;
+
+// Difference (ms) from the season's typical offset beyond which an episode's
+// adjustment is flagged as suspicious.
+const PROFILE_DISAGREE = 2000;
+
+// Writes are queued so that concurrent updates don't clobber one another.
+var _PROFILE_WRITES = Promise.resolve();
+
+
+/**
+ * @param {string|null} series_id
+ * @param {string|null} season_id
+ * @returns {string|null} Key of the season's profile, or null if either is unknown
+ */
+function profile_key(series_id, season_id) {
+    return (series_id && season_id) ? `${series_id}/${season_id}` : null;
+}
+
+/**
+ * @param {string|null} series_id
+ * @param {string|null} season_id
+ * @returns {Promise<Object>} Offsets (ms) recorded for episodes of a season,
+ * keyed by episode GUID, each as { offset, time }.
+ */
+async function profile_load(series_id, season_id) {
+    let key = profile_key(series_id, season_id);
+    if (!key) {
+        return {};
+    }
+    let stored = await browser.storage.local.get(PROFILES_KEY);
+    let profiles = stored[PROFILES_KEY] || {};
+    return profiles.hasOwnProperty(key) ? profiles[key].episodes : {};
+}
+
+/**
+ * Record the offset used for an episode.
+ *
+ * @param {string|null} series_id
+ * @param {string|null} season_id
+ * @param {string} guid GUID of the episode
+ * @param {number} offset Offset (ms) applied in the middle of the episode
+ * @returns {Promise} Resolved once recorded
+ */
+function profile_record(series_id, season_id, guid, offset) {
+    let key = profile_key(series_id, season_id);
+    if (!key) {
+        return Promise.resolve();
+    }
+    _PROFILE_WRITES = _PROFILE_WRITES.then(async () => {
+        let stored = await browser.storage.local.get(PROFILES_KEY);
+        let profiles = stored[PROFILES_KEY] || {};
+        let now = Date.now();
+        let profile = profiles[key] || { 'episodes': {} };
+        profile.time = now;
+        profile.episodes[guid] = { 'offset': offset, 'time': now };
+        profiles[key] = profile;
+
+        let guids = Object.keys(profile.episodes);
+        if (guids.length > PROFILE_MAX_EPISODES) {
+            guids.sort((a, b) => profile.episodes[a].time - profile.episodes[b].time);
+            guids.slice(0, guids.length - PROFILE_MAX_EPISODES).forEach((old) => delete profile.episodes[old]);
+        }
+        let keys = Object.keys(profiles);
+        if (keys.length > PROFILE_MAX_SEASONS) {
+            keys.sort((a, b) => profiles[a].time - profiles[b].time);
+            keys.slice(0, keys.length - PROFILE_MAX_SEASONS).forEach((old) => delete profiles[old]);
+        }
+        await browser.storage.local.set({ [PROFILES_KEY]: profiles });
+    }).catch((error) => console.warn(`Could not record offset of ${guid}`, error));
+    return _PROFILE_WRITES;
+}
+
+/**
+ * @param {Object} episodes Offsets recorded for a season, from profile_load()
+ * @param {string} guid GUID of the episode being adjusted, which is ignored
+ * @returns {Object|null} The season's typical offset as { offset, episodes },
+ * where 'episodes' is the number of episodes agreeing on it; or null if
+ * other episodes don't agree on one.
+ */
+function profile_typical_offset(episodes, guid) {
+    let offsets = Object.keys(episodes).filter((g) => g != guid).map((g) => episodes[g].offset);
+    if (offsets.length < PROFILE_MIN_EPISODES) {
+        return null;
+    }
+
+    let typical = median(offsets);
+    let agreeing = offsets.filter((offset) => Math.abs(offset - typical) <= PROFILE_TOLERANCE);
+    if (agreeing.length < PROFILE_MIN_EPISODES || agreeing.length * 2 <= offsets.length) {
+        return null;
+    }
+    return { 'offset': Math.round(median(agreeing)), 'episodes': agreeing.length };
+}
@@ -0,0 +1,80 @@
+// Clean-up of closed captions (CC/SDH) into plain subtitles.
+//
+// Captions name speakers and describe sounds for viewers who can't hear them;
+// for viewers who can, that's mostly clutter.
+
+// Sound cues, e.g. "[door slams]" or "(laughing)". Only looked for outside
+// ASS override blocks, whose tags take arguments in parentheses, e.g. \pos(1,2).
+const CAPTION_SOUND_CUE = /\[[^\]]*\]|\([^)]*\)/g;
+
+// Speaker label at the start of a line, e.g. "NARRATOR:" or "MR. TANAKA:",
+// after any dash marking a change of speaker. Only labels in capitals are
+// recognized, so that ordinary text like "Look: ..." is kept.
+const CAPTION_SPEAKER = /^([-–—]?\s*)[A-Z][A-Z0-9 .'’&-]*:\s*/;
+
+// Markup at the start of a line, ahead of any speaker label: ASS override
+// blocks, or WebVTT/SRT tags.
+const CAPTION_LEADING_MARKUP = /^((?:\{[^}]*\}|<[^>]*>|\s)*)([^]*)$/;
+
+// ASS override blocks anywhere in a line, captured so that splitting on them
+// keeps them.
+const CAPTION_OVERRIDE_BLOCK = /(\{[^}]*\})/;
+
+
+/**
+ * @param {string} line A line of caption text, possibly with markup
+ * @returns {string} line without sound cues or speaker labels
+ */
+function captions_clean_line(line) {
+    let m = line.match(CAPTION_LEADING_MARKUP);
+    // Odd parts are override blocks, kept as they are.
+    let text = m[2].split(CAPTION_OVERRIDE_BLOCK)
+        .map((part, i) => (i % 2) ? part : part.replace(CAPTION_SOUND_CUE, ''))
+        .join('').trim().replace(CAPTION_SPEAKER, '$1');
+    return m[1] + text.replace(/\s{2,}/g, ' ').trim();
+}
+
+/**
+ * @param {string} line A line of caption text, possibly with markup
+ * @returns {boolean} true if nothing but markup and dashes is left on the line
+ */
+function captions_line_empty(line) {
+    return /^[-–—\s]*$/.test(line.replace(/\{[^}]*\}|<[^>]*>/g, ''));
+}
+
+/**
+ * Remove speaker labels and sound cues from captions. Events left empty are
+ * removed.
+ *
+ * @param {string} text Captions in SSA/ASS, WebVTT or SRT format
+ * @returns {Object|null} The cleaned captions as { script, removed } where
+ * 'removed' is the number of events removed; or null if the format isn't
+ * recognized.
+ */
+function captions_clean(text) {
+    let script = script_parse(text);
+    if (!script) {
+        return null;
+    }
+
+    var removed;
+    if (script instanceof AssScript) {
+        removed = script.remove_events((line) => {
+            let lines = line.text().split('\\N').map(captions_clean_line)
+                .filter((l) => !captions_line_empty(l));
+            line.set('Text', lines.join('\\N'));
+            return lines.length == 0;
+        });
+    } else {
+        removed = script.remove_events((block) => {
+            let first = block.timing_index() + 1;
+            let lines = block.lines.slice(first).filter((line) => {
+                line.raw = captions_clean_line(line.raw);
+                return !captions_line_empty(line.raw);
+            });
+            block.lines = block.lines.slice(0, first).concat(lines);
+            return lines.length == 0;
+        });
+    }
+    return { 'script': script.serialize(), 'removed': removed };
+}
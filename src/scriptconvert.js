@@ -0,0 +1,196 @@
+// Conversion of scripts between formats, for exporting them.
+//
+// Converting from SSA/ASS keeps only what cue-based formats can express: the
+// text of each Dialogue event and whether it's placed at the top of the screen.
+
+const CONVERT_FORMATS = ['ass', 'srt', 'vtt'];
+
+// Header of scripts converted to SSA/ASS, ahead of their events.
+const CONVERT_ASS_HEADER = [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    'PlayResX: 640',
+    'PlayResY: 360',
+    'WrapStyle: 0',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, '
+    + 'Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, '
+    + 'Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    'Style: Default,Arial,22,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,1.5,0.5,2,20,20,20,1',
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+];
+
+
+/**
+ * @param {AssScript|VttScript|SrtScript} script
+ * @returns {string} Format of the script: "ass", "srt" or "vtt"
+ */
+function convert_format_of(script) {
+    if (script instanceof VttScript) {
+        return 'vtt';
+    }
+    return (script instanceof SrtScript) ? 'srt' : 'ass';
+}
+
+/**
+ * @param {string} text Text field of a Dialogue event
+ * @param {boolean} top true if the event's style places it at the top
+ * @returns {Object} The visible text as { lines, top }, with override blocks
+ * and drawings removed, and 'top' overridden by any alignment tag.
+ */
+function convert_ass_text(text, top) {
+    var drawing = false;
+    let visible = text.split(/(\{[^}]*\})/).map((part) => {
+        if (!(part.startsWith('{') && part.endsWith('}'))) {
+            return drawing ? '' : part;
+        }
+        let draw = part.match(/\\p(\d+)/);
+        if (draw) {
+            drawing = Number(draw[1]) > 0;
+        }
+        let an = part.match(/\\an(\d)/);
+        if (an) {
+            top = Number(an[1]) >= 7;
+        }
+        return '';
+    }).join('');
+
+    let lines = visible.replace(/\\h/g, ' ').split(/\\[Nn]/)
+        .map((line) => line.trim())
+        .filter((line) => line !== '');
+    return { 'lines': lines, 'top': top };
+}
+
+/**
+ * @param {AssScript} script
+ * @returns {Set<string>} Names of styles placing events at the top of the screen
+ */
+function convert_ass_top_styles(script) {
+    let out = new Set();
+    let styles = script.styles();
+    if (!styles) {
+        return out;
+    }
+    // SSA numbers alignments differently: 5-7 are the top row.
+    let legacy = (styles.name == '[V4 Styles]');
+    styles.entries('Style').forEach((line) => {
+        let alignment = Number(line.get('Alignment'));
+        if (legacy ? (alignment >= 5 && alignment <= 7) : (alignment >= 7)) {
+            out.add(line.get('Name'));
+        }
+    });
+    return out;
+}
+
+/**
+ * @param {AssScript|VttScript|SrtScript} script
+ * @returns {Array<Object>} Visible events in order of start time, each as
+ * { start, end, lines, top, dialogue } where 'lines' is the plain text to
+ * display, 'top' is true if it's placed at the top of the screen, and
+ * 'dialogue' is false for signs and songs (as told by script_is_dialogue).
+ */
+function convert_cues(script) {
+    var out;
+    if (script instanceof AssScript) {
+        let top_styles = convert_ass_top_styles(script);
+        out = script.dialogue().map((line) => {
+            let text = convert_ass_text(line.text(), top_styles.has(line.get('Style')));
+            return {
+                'start': line.start_ms(),
+                'end': line.end_ms(),
+                'lines': text.lines,
+                'top': text.top,
+                'dialogue': script_is_dialogue(script, line),
+            };
+        });
+    } else {
+        out = script.events().map((block) => {
+            let raws = block.lines.slice(block.timing_index() + 1).map((line) => line.raw);
+            return {
+                'start': block.start_ms(),
+                'end': block.end_ms(),
+                'lines': raws.map((raw) => script.plain_text(raw).trim()).filter((line) => line !== ''),
+                'top': raws.some((raw) => /\{\\an[789]\}/.test(raw)),
+                'dialogue': script_is_dialogue(script, block),
+            };
+        });
+    }
+    out = out.filter((cue) => cue.lines.length && cue.end > cue.start);
+    // Sorting is stable, so events starting together stay in script order.
+    out.sort((a, b) => a.start - b.start);
+    return out;
+}
+
+/**
+ * @param {Array<Object>} cues Events, as returned by convert_cues()
+ * @param {string} format "srt" or "vtt"
+ * @returns {string} A script in that format
+ */
+function convert_render_cues(cues, format) {
+    let out = (format == 'vtt') ? ['WEBVTT', ''] : [];
+    let escape = (line) => (format == 'vtt')
+        ? line.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        : line;
+    let separator = (format == 'vtt') ? '.' : ',';
+
+    cues.forEach((cue, i) => {
+        var timing = `${cue_render_time(cue.start, separator)} --> ${cue_render_time(cue.end, separator)}`;
+        let lines = cue.lines.map(escape);
+        if (format == 'vtt') {
+            if (cue.top) {
+                timing += ' line:0';
+            }
+        } else {
+            out.push(String(i + 1));
+            if (cue.top) {
+                lines[0] = `{\\an8}${lines[0]}`;
+            }
+        }
+        out.push(timing, ...lines, '');
+    });
+    return out.join('\n');
+}
+
+/**
+ * @param {Array<Object>} cues Events, as returned by convert_cues(), each
+ * optionally with the 'style' to use (default "Default")
+ * @param {Array<string>} header Script ahead of the events, ending with the
+ * "[Events]" section's format line (default CONVERT_ASS_HEADER)
+ * @returns {string} A script in SSA/ASS format
+ */
+function convert_render_ass(cues, header) {
+    let events = cues.map((cue) => {
+        let text = (cue.top ? '{\\an8}' : '') + cue.lines.join('\\N');
+        return `Dialogue: 0,${script_render_time(cue.start)},${script_render_time(cue.end)},`
+            + `${cue.style || 'Default'},,0,0,0,,${text}`;
+    });
+    return (header || CONVERT_ASS_HEADER).concat(events, ['']).join('\n');
+}
+
+/**
+ * Convert a script to another format. A script already in that format is
+ * returned unchanged.
+ *
+ * @param {string} text A script in SSA/ASS, WebVTT or SRT format
+ * @param {string} format Format to convert to: "ass", "srt" or "vtt"
+ * @returns {string|null} The converted script, or null if the script's format
+ * isn't recognized.
+ */
+function script_convert(text, format) {
+    if (CONVERT_FORMATS.indexOf(format) == -1) {
+        throw new Error(`Unknown script format ${format}`);
+    }
+    let script = script_parse(text);
+    if (!script) {
+        return null;
+    }
+    if (convert_format_of(script) == format) {
+        return text;
+    }
+
+    let cues = convert_cues(script);
+    return (format == 'ass') ? convert_render_ass(cues) : convert_render_cues(cues, format);
+}
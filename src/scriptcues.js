@@ -0,0 +1,294 @@
+// Scripts in cue-based formats (WebVTT and SRT).
+//
+// These provide the same interface as AssScript for the purposes of matching
+// and retiming: events(), dialogue(), events_ok(), remove_events() and
+// serialize(), with each cue offering start_ms(), end_ms(), set_times() and text().
+//
+// A browser-independent module; see scripttime.js.
+
+(function (exports, imports) {
+    const { MS_PER_SECOND, script_parse_time } = imports('./scripttime.js');
+
+    // Matches a cue timing line, capturing the start time, the arrow and
+    // surrounding whitespace, the end time, and any trailing cue settings.
+    const CUE_TIMING = /^(\s*)(\S+)(\s+-->\s+)(\S+)(.*)$/;
+
+
+    /**
+     * A block of consecutive non-blank lines in a cue-based script, along with
+     * the blank lines following it.
+     */
+    class CueBlock {
+        /**
+         * @param {CueScript} script Script this block belongs to
+         */
+        constructor(script) {
+            this.script = script;
+            this.lines = [];
+            this.blanks = [];
+        }
+
+        /**
+         * @returns {number} Index within this.lines of the cue timing line, or -1
+         * if this block isn't a cue.
+         */
+        timing_index() {
+            for (var i = 0; i < Math.min(2, this.lines.length); ++i) {
+                if (this.lines[i].raw.indexOf('-->') != -1 && CUE_TIMING.test(this.lines[i].raw)) {
+                    return i;
+                }
+            }
+            return -1;
+        }
+
+        /**
+         * @returns {boolean} true if this block is a cue (rather than a header, comment etc.)
+         */
+        is_cue() {
+            return this.timing_index() != -1;
+        }
+
+        /**
+         * @returns {Array<string>} Timing line fields, as matched by CUE_TIMING
+         */
+        _timing() {
+            return this.lines[this.timing_index()].raw.match(CUE_TIMING);
+        }
+
+        /**
+         * @returns {number} Start time (ms)
+         */
+        start_ms() {
+            return this.script.parse_time(this._timing()[2]);
+        }
+
+        /**
+         * @returns {number} End time (ms)
+         */
+        end_ms() {
+            return this.script.parse_time(this._timing()[4]);
+        }
+
+        /**
+         * @param {number} start New start time (ms)
+         * @param {number} end New end time (ms)
+         */
+        set_times(start, end) {
+            let m = this._timing();
+            let line = this.lines[this.timing_index()];
+            line.raw = m[1] + this.script.render_time(start) + m[3] + this.script.render_time(end) + m[5];
+        }
+
+        /**
+         * @returns {string} Cue text with markup removed, lines joined by spaces
+         */
+        text() {
+            return this.lines.slice(this.timing_index() + 1)
+                .map((line) => this.script.plain_text(line.raw))
+                .join(' ');
+        }
+    }
+
+
+    /**
+     * A script made up of blank-line separated blocks, most of which are cues.
+     * Base class for VttScript and SrtScript.
+     *
+     * Serializing a script which hasn't been modified reproduces the original exactly.
+     */
+    class CueScript {
+        /**
+         * @param {string} text A full script
+         */
+        constructor(text) {
+            this.bom = text.startsWith('\uFEFF') ? '\uFEFF' : '';
+            if (this.bom) {
+                text = text.substring(1);
+            }
+
+            let parts = text.split(/(\r\n|\n|\r)/);
+            this.newline = (parts.length > 1) ? parts[1] : "\n";
+            this.blocks = [];
+            // Blank lines preceding the first block.
+            this.leading = [];
+
+            var block = null;
+            for (var i = 0; i < parts.length; i += 2) {
+                let line = { 'raw': parts[i], 'eol': (i + 1 < parts.length) ? parts[i + 1] : '' };
+                if (line.raw.trim() === '') {
+                    (block ? block.blanks : this.leading).push(line);
+                    continue;
+                }
+                if (!block || block.blanks.length) {
+                    block = new CueBlock(this);
+                    this.blocks.push(block);
+                }
+                block.lines.push(line);
+            }
+        }
+
+        /**
+         * @returns {Array<CueBlock>} All cues
+         */
+        events() {
+            return this.blocks.filter((block) => block.is_cue());
+        }
+
+        /**
+         * @returns {Array<CueBlock>} All cues; cue formats don't distinguish
+         * dialogue from anything else.
+         */
+        dialogue() {
+            return this.events();
+        }
+
+        /**
+         * @returns {boolean} true if this script has cues we know how to work with
+         */
+        events_ok() {
+            return this.events().length > 0;
+        }
+
+        /**
+         * Remove cues from the script.
+         * @param {function(CueBlock): boolean} predicate Returns true for cues to remove
+         * @returns {number} Number of cues removed
+         */
+        remove_events(predicate) {
+            let before = this.blocks.length;
+            this.blocks = this.blocks.filter((block) => !(block.is_cue() && predicate(block)));
+            return before - this.blocks.length;
+        }
+
+        /**
+         * @returns {string} The script in its original format
+         */
+        serialize() {
+            let out = [this.bom];
+            let push = (line) => out.push(line.raw, line.eol);
+            this.leading.forEach(push);
+            this.blocks.forEach((block) => {
+                block.lines.forEach(push);
+                block.blanks.forEach(push);
+            });
+            return out.join('');
+        }
+
+        /**
+         * @param {string} line A line of cue text
+         * @returns {string} line with markup removed
+         */
+        plain_text(line) {
+            return line;
+        }
+    }
+
+
+    /**
+     * A script in WebVTT format.
+     */
+    class VttScript extends CueScript {
+        /**
+         * @param {string} timestr e.g. "01:02:03.456" or "02:03.456"
+         * @returns {number} timestr converted to milliseconds
+         */
+        parse_time(timestr) {
+            let fields = timestr.split(':');
+            if (fields.length == 2) {
+                fields.unshift('0');
+            }
+            return script_parse_time(fields.join(':'));
+        }
+
+        /**
+         * @param {number} timems Time in milliseconds; negative times are rendered as 0
+         * @returns {string} e.g. "01:02:03.456"
+         */
+        render_time(timems) {
+            return cue_render_time(timems, '.');
+        }
+
+        plain_text(line) {
+            // Strip cue spans (<i>, <c.yellow>, <v Speaker>, <00:01.000> etc.)
+            // and decode the entities WebVTT allows.
+            return line
+                .replace(/<[^>]*>/g, '')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&nbsp;/g, ' ')
+                .replace(/&lrm;|&rlm;/g, '')
+                .replace(/&amp;/g, '&');
+        }
+    }
+
+
+    /**
+     * A script in SubRip (SRT) format.
+     */
+    class SrtScript extends CueScript {
+        /**
+         * @param {string} timestr e.g. "01:02:03,456"
+         * @returns {number} timestr converted to milliseconds
+         */
+        parse_time(timestr) {
+            return script_parse_time(timestr.replace(',', '.'));
+        }
+
+        /**
+         * @param {number} timems Time in milliseconds; negative times are rendered as 0
+         * @returns {string} e.g. "01:02:03,456"
+         */
+        render_time(timems) {
+            return cue_render_time(timems, ',');
+        }
+
+        plain_text(line) {
+            // Strip HTML-ish tags (<i>, <font color=...>) and ASS-style overrides ({\an8}).
+            return line.replace(/<[^>]*>/g, '').replace(/\{\\[^}]*\}/g, '');
+        }
+
+        remove_events(predicate) {
+            let out = super.remove_events(predicate);
+            if (out) {
+                // Keep cue numbering contiguous.
+                this.events().forEach((block, i) => {
+                    if (block.timing_index() == 1 && /^\s*\d+\s*$/.test(block.lines[0].raw)) {
+                        block.lines[0].raw = String(i + 1);
+                    }
+                });
+            }
+            return out;
+        }
+    }
+
+
+    /**
+     * @param {number} timems Time in milliseconds; negative times are rendered as 0
+     * @param {string} separator Separator between seconds and milliseconds
+     * @returns {string} e.g. "01:02:03.456"
+     */
+    function cue_render_time(timems, separator) {
+        let total = Math.max(0, Math.round(timems));
+        let ms = total % MS_PER_SECOND;
+        total = (total - ms) / MS_PER_SECOND;
+        let seconds = total % 60;
+        total = (total - seconds) / 60;
+        let minutes = total % 60;
+        let hours = (total - minutes) / 60;
+
+        return [
+            String(hours).padStart(2, '0'),
+            ':',
+            String(minutes).padStart(2, '0'),
+            ':',
+            String(seconds).padStart(2, '0'),
+            separator,
+            String(ms).padStart(3, '0'),
+        ].join('');
+    }
+
+
+    Object.assign(exports, {
+        CUE_TIMING, CueBlock, CueScript, VttScript, SrtScript, cue_render_time,
+    });
+})(...(typeof module == 'object') ? [module.exports, require] : [globalThis, () => globalThis]);
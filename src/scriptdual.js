@@ -0,0 +1,130 @@
+// Generation of tracks stacking subtitles in two languages, e.g. for learning
+// a language: one language at the bottom of the screen, the other at the top
+// in a style of its own.
+
+// Style of the language at the top: smaller, and yellow. Sized for a script
+// of CONVERT_ASS_HEADER's resolution, and rescaled for others.
+const DUAL_TOP_STYLE = 'Style: Top,Arial,18,&H0000FFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,1.5,0.5,8,20,20,15,1';
+
+
+/**
+ * @param {string} bottom Language shown at the bottom, e.g. "en-US"
+ * @param {string} top Language shown at the top, e.g. "ja-JP"
+ * @returns {string} Language code under which the stacked track is offered
+ */
+function dual_track_lang(bottom, top) {
+    return `${bottom}+${top}`;
+}
+
+/**
+ * Pick a URL for a stacked track. The player needs a URL it can load which
+ * no other track uses, so that requests for the stacked track can be told
+ * apart; script URLs are signed, so one can't be made up. Instead, one of the
+ * scripts which the player isn't offered (e.g. one a borrowed script
+ * replaced) lends its URL, and its response is replaced.
+ *
+ * @param {Array<Object>} candidates Raw subs objects of scripts of either
+ * version, as from a /play response
+ * @param {Array<string>} used URLs of scripts the player is offered, or which
+ * are otherwise rewritten
+ * @returns {string|null} URL for the stacked track, or null if there's none to spare
+ */
+function dual_track_url(candidates, used) {
+    let spare = candidates.find((sub) => used.indexOf(sub.url) == -1);
+    return spare ? spare.url : null;
+}
+
+/**
+ * Give lines in either language which are evidently the same line the same
+ * times, so they appear and disappear together. Both languages must already
+ * be retimed for the video with the episode's TimingMap; lines are then
+ * paired by time, as by script_time_pairs. Where one language splits a line
+ * the other doesn't, both keep their own times. Signs and songs are never
+ * paired.
+ *
+ * @param {Array<Object>} bottom Events of the bottom language, from convert_cues()
+ * @param {Array<Object>} top Events of the top language (modified in place)
+ * @returns {number} Number of pairs whose times were matched
+ */
+function dual_pair(bottom, top) {
+    let lines = (cues) => cues.filter((cue) => cue.dialogue).map((cue) => ({ 'time': cue.start, 'end': cue.end, 'cue': cue }));
+    let pairs = script_time_pairs(lines(bottom), lines(top));
+    pairs.forEach(([line, top_line]) => {
+        top_line.cue.start = line.cue.start;
+        top_line.cue.end = line.cue.end;
+    });
+    return pairs.length;
+}
+
+/**
+ * Add the top language to a bottom language script in SSA/ASS format, which
+ * keeps all of its own styles and events.
+ *
+ * @param {AssScript} script Script of the bottom language (modified in place)
+ * @param {Array<Object>} top Events of the top language, from convert_cues()
+ * @returns {string|null} The stacked script, or null if script has no styles
+ * or events to add to
+ */
+function dual_stack_ass(script, top) {
+    let header = CONVERT_ASS_HEADER.map((line) => line.startsWith('Style:') ? DUAL_TOP_STYLE : line);
+    let added = new AssScript(convert_render_ass(top, header));
+    let styles = script.styles();
+    if (!styles || !script.events_ok()) {
+        return null;
+    }
+
+    let res = script.play_res();
+    let added_res = added.play_res();
+    let renames = merge_styles(styles, added.styles(), res.x / added_res.x, res.y / added_res.y, script.newline);
+    let name = renames.get('Top') || 'Top';
+    let format = script.section('[Events]').fields();
+    let lines = added.dialogue().map((line) => {
+        line.set('Style', name);
+        return line.render(format);
+    });
+    script.section('[Events]').append(lines, script.newline);
+    return script.serialize();
+}
+
+/**
+ * Stack scripts in two languages into one. Both must already be timed for the
+ * video they're shown with.
+ *
+ * A bottom language script in SSA/ASS format is kept as it is, signs and all,
+ * with the top language added; otherwise both are converted.
+ *
+ * @param {string} bottom_text Script of the language at the bottom, in SSA/ASS,
+ * WebVTT or SRT format
+ * @param {string|null} top_text Script of the language at the top, or null to
+ * have the bottom language alone (still in SSA/ASS format)
+ * @returns {Object|null} The stacked script in SSA/ASS format as { script, paired }
+ * where 'paired' is the number of lines given the same times in both
+ * languages; or null if either script's format isn't recognized.
+ */
+function script_dual(bottom_text, top_text) {
+    let bottom_script = script_parse(bottom_text);
+    let top_script = (top_text === null) ? null : script_parse(top_text);
+    if (!bottom_script || (top_text !== null && !top_script)) {
+        return null;
+    }
+    let bottom = convert_cues(bottom_script);
+    let top = top_script ? convert_cues(top_script) : [];
+    let paired = dual_pair(bottom, top);
+    top.forEach((cue) => {
+        cue.style = 'Top';
+        // The style puts them at the top already.
+        cue.top = false;
+    });
+
+    if (bottom_script instanceof AssScript) {
+        let out = top.length ? dual_stack_ass(bottom_script, top) : bottom_text;
+        if (out !== null) {
+            return { 'script': out, 'paired': paired };
+        }
+    }
+    let header = CONVERT_ASS_HEADER.slice();
+    header.splice(header.indexOf('[Events]') - 1, 0, DUAL_TOP_STYLE);
+    let cues = bottom.concat(top);
+    cues.sort((a, b) => a.start - b.start);
+    return { 'script': convert_render_ass(cues, header), 'paired': paired };
+}
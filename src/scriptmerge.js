@@ -0,0 +1,211 @@
+// Merging of a dub's own signs/songs script with dialogue from another version.
+//
+// A browser-independent module; see scripttime.js.
+
+(function (exports, imports) {
+    const { script_parse_time } = imports('./scripttime.js');
+    const { FUZZY_MIN_SIMILARITY, AssLine, AssSection, AssScript, script_normalize, script_bigrams, script_similarity, script_is_dialogue } = imports('./scriptutils.js');
+
+    // Max difference (ms) between start times for a line of borrowed dialogue to
+    // be considered a duplicate of one of the dub's own lines.
+    const MERGE_DUPLICATE_TOLERANCE = 1000;
+
+    // Style fields measured vertically/horizontally in script coordinates, which
+    // must be rescaled if the merged scripts use different resolutions.
+    const MERGE_STYLE_FIELDS_Y = ['Fontsize', 'Outline', 'Shadow', 'MarginV'];
+    const MERGE_STYLE_FIELDS_X = ['MarginL', 'MarginR'];
+
+
+    /**
+     * Rescale positioning and sizing override tags in a line of dialogue.
+     * @param {string} text Text field of a Dialogue line
+     * @param {number} sx Horizontal scale factor
+     * @param {number} sy Vertical scale factor
+     * @returns {string} text with overrides rescaled
+     */
+    function merge_scale_overrides(text, sx, sy) {
+        let round = (n) => String(Math.round(n * 100) / 100);
+        let coords = (args) => args.split(',').map((arg, i) => {
+            // \move has optional trailing times, which aren't coordinates.
+            if (i >= 4) {
+                return arg;
+            }
+            return round(Number(arg) * ((i % 2) ? sy : sx));
+        }).join(',');
+
+        return text.replace(/\{[^}]*\}/g, (block) => {
+            return block
+                .replace(/\\(pos|move|org)\(([^)]*)\)/g, (m, tag, args) => `\\${tag}(${coords(args)})`)
+                .replace(/\\(fs|bord|shad)([\d.]+)/g, (m, tag, n) => `\\${tag}${round(Number(n) * sy)}`);
+        });
+    }
+
+    /**
+     * Add the alternative script's styles to the dub's, rescaling them for the
+     * dub's resolution.
+     *
+     * @param {AssSection} dub_styles Styles section of the dub script (modified in place)
+     * @param {AssSection} alt_styles Styles section of the alternative script
+     * @param {number} sx Horizontal scale factor
+     * @param {number} sy Vertical scale factor
+     * @param {string} newline Line terminator used by the dub script
+     * @returns {Map<string, string>} Styles which had to be renamed due to a
+     * clash with a different dub style of the same name, old name => new name.
+     */
+    function merge_styles(dub_styles, alt_styles, sx, sy, newline) {
+        let dub_format = dub_styles.fields();
+        let dub_by_name = new Map();
+        dub_styles.entries('Style').forEach((line) => {
+            dub_by_name.set(line.get('Name'), line.render(dub_format));
+        });
+
+        let renames = new Map();
+        let added = [];
+        alt_styles.entries('Style').forEach((orig) => {
+            let line = new AssLine(orig.raw, orig.eol, orig.format);
+            MERGE_STYLE_FIELDS_Y.forEach((f) => {
+                if (line.get(f) !== undefined) {
+                    line.set(f, String(Math.round(Number(line.get(f)) * sy * 100) / 100));
+                }
+            });
+            MERGE_STYLE_FIELDS_X.forEach((f) => {
+                if (line.get(f) !== undefined) {
+                    line.set(f, String(Math.round(Number(line.get(f)) * sx)));
+                }
+            });
+
+            let name = line.get('Name');
+            let rendered = line.render(dub_format);
+            if (!dub_by_name.has(name)) {
+                dub_by_name.set(name, rendered);
+                added.push(rendered);
+                return;
+            }
+            if (dub_by_name.get(name) == rendered) {
+                // Identical style already present.
+                return;
+            }
+
+            var i = 1;
+            var new_name = `${name} (alt)`;
+            while (dub_by_name.has(new_name)) {
+                i += 1;
+                new_name = `${name} (alt ${i})`;
+            }
+            line.set('Name', new_name);
+            rendered = line.render(dub_format);
+            dub_by_name.set(new_name, rendered);
+            added.push(rendered);
+            renames.set(name, new_name);
+        });
+
+        dub_styles.append(added, newline);
+        return renames;
+    }
+
+    /**
+     * Merge a dub's own script with a script from another version.
+     *
+     * Dubs frequently come with a near-empty script containing only translations
+     * of signs and song lyrics, properly timed and styled for the dub. Rather than
+     * discarding it when borrowing dialogue from the other version, the result
+     * contains all of the dub's own events and styles, plus the borrowed dialogue
+     * except where it duplicates one of the dub's lines. The other version's own
+     * signs and songs (as told by script_is_dialogue) aren't borrowed: the dub's
+     * cover them.
+     *
+     * @param {string} dub_script The dub's own script, in SSA/ASS format
+     * @param {string} alt_script Script from another version in SSA/ASS format,
+     * already retimed to match the dub
+     * @returns {string|null} The merged script, or null if scripts can't be merged
+     */
+    function script_merge(dub_script, alt_script) {
+        let dub = new AssScript(dub_script);
+        let alt = new AssScript(alt_script);
+
+        let dub_events = dub.section('[Events]');
+        let dub_styles = dub.styles();
+        let alt_styles = alt.styles();
+        if (!dub.events_ok() || !alt.events_ok() || !dub_styles || !alt_styles) {
+            return null;
+        }
+        let dub_format = dub_events.fields();
+
+        // The dub's signs are positioned for its own resolution, so that's what the
+        // merged script uses; borrowed styles and overrides are scaled to match.
+        let dub_res = dub.play_res();
+        let alt_res = alt.play_res();
+        let sx = dub_res.x / alt_res.x;
+        let sy = dub_res.y / alt_res.y;
+
+        let renames = merge_styles(dub_styles, alt_styles, sx, sy, dub.newline);
+
+        let dub_lines = dub.dialogue().map((line) => {
+            return {
+                'time': script_parse_time(line.get('Start')),
+                'grams': script_bigrams(script_normalize(line.get('Text'))),
+            };
+        });
+        let duplicate = (time, grams) => dub_lines.some((line) => {
+            return Math.abs(line.time - time) <= MERGE_DUPLICATE_TOLERANCE
+                && script_similarity(line.grams, grams) >= FUZZY_MIN_SIMILARITY;
+        });
+
+        var dropped = 0;
+        var skipped = 0;
+        let added = [];
+        alt.dialogue().forEach((line) => {
+            if (!script_is_dialogue(alt, line)) {
+                skipped += 1;
+                return;
+            }
+            let grams = script_bigrams(script_normalize(line.get('Text')));
+            if (duplicate(script_parse_time(line.get('Start')), grams)) {
+                dropped += 1;
+                return;
+            }
+
+            let style = line.get('Style');
+            if (renames.has(style)) {
+                line.set('Style', renames.get(style));
+            }
+            let text = line.get('Text').replace(/\\r([^\\}]+)/g, (m, name) => {
+                return renames.has(name) ? `\\r${renames.get(name)}` : m;
+            });
+            if (sx != 1 || sy != 1) {
+                text = merge_scale_overrides(text, sx, sy);
+            }
+            line.set('Text', text);
+            added.push(line.render(dub_format));
+        });
+        console.debug(`merge: ${dub_lines.length} dub lines, ${added.length} added, ${dropped} duplicates dropped, ${skipped} signs and songs skipped`);
+        dub_events.append(added, dub.newline);
+
+        // Borrowed styles may refer to embedded fonts.
+        ['[Fonts]', '[Graphics]'].forEach((name) => {
+            let alt_section = alt.section(name);
+            if (!alt_section) {
+                return;
+            }
+            let dub_section = dub.section(name);
+            if (dub_section) {
+                dub_section.append(alt_section.lines.map((line) => line.raw), dub.newline);
+            } else {
+                let last = dub.sections[dub.sections.length - 1];
+                let tail = last.lines[last.lines.length - 1] || last.header;
+                if (tail && tail.eol === '') {
+                    tail.eol = dub.newline;
+                }
+                dub.sections.push(alt_section);
+            }
+        });
+
+        return dub.serialize();
+    }
+
+
+    Object.assign(exports, {
+        MERGE_DUPLICATE_TOLERANCE, MERGE_STYLE_FIELDS_Y, MERGE_STYLE_FIELDS_X, merge_scale_overrides,
+        merge_styles, script_merge,
+    });
+})(...(typeof module == 'object') ? [module.exports, require] : [globalThis, () => globalThis]);
@@ -0,0 +1,149 @@
+// User style overrides for borrowed SSA/ASS scripts, so that subs made for
+// the original fit in next to the dub's own: font, size, outline, shadow,
+// colour and placement of dialogue. Signs and songs keep their own styling
+// and positioning.
+
+// Overrides which can be set, and the type of value each takes.
+const RESTYLE_OPTIONS = {
+    'font': 'string',
+    'scale': 'number',
+    'outline': 'number',
+    'shadow': 'number',
+    'colour': 'string',
+    'margin_v': 'number',
+    'bottom_centre': 'boolean',
+};
+
+// Outline, shadow and vertical margin are given in pixels of a video this
+// tall, and scaled to each script's resolution.
+const RESTYLE_REFERENCE_HEIGHT = 1080;
+
+
+/**
+ * @param {Object} settings Current settings
+ * @param {string} lang Language code e.g. "en-US"
+ * @returns {Object|null} Overrides for lang: those for all languages ("*")
+ * with those for lang on top, or null if there are none. Unknown overrides,
+ * or values of the wrong type, are ignored.
+ */
+function restyle_options(settings, lang) {
+    let all = settings.restyle || {};
+    let merged = Object.assign({}, all['*'], all[lang]);
+    let out = {};
+    Object.keys(merged).forEach((key) => {
+        if (!RESTYLE_OPTIONS.hasOwnProperty(key) || typeof merged[key] != RESTYLE_OPTIONS[key]) {
+            console.warn(`Ignoring style override ${key}: ${JSON.stringify(merged[key])}`);
+            return;
+        }
+        out[key] = merged[key];
+    });
+    return Object.keys(out).length ? out : null;
+}
+
+/**
+ * @param {string} colour e.g. "#ffcc00", or already in SSA/ASS format like "&H0000CCFF"
+ * @returns {string|null} colour in SSA/ASS format, or null if not recognized
+ */
+function restyle_colour(colour) {
+    let m = colour.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+    if (m) {
+        // SSA/ASS colours are alpha, blue, green, red.
+        return `&H00${m[3]}${m[2]}${m[1]}`.toUpperCase();
+    }
+    return /^&H[0-9a-f]{6,8}$/i.test(colour) ? colour : null;
+}
+
+/**
+ * @param {AssScript} script
+ * @returns {Set<string>} Names of styles used mostly for dialogue, rather than
+ * for signs or songs (as told by script_is_dialogue).
+ */
+function restyle_dialogue_styles(script) {
+    let counts = new Map();
+    script.dialogue().forEach((line) => {
+        let style = line.get('Style');
+        let count = counts.get(style) || { 'dialogue': 0, 'other': 0 };
+        count[script_is_dialogue(script, line) ? 'dialogue' : 'other'] += 1;
+        counts.set(style, count);
+    });
+    let out = new Set();
+    counts.forEach((count, style) => {
+        if (count.dialogue > count.other) {
+            out.add(style);
+        }
+    });
+    return out;
+}
+
+/**
+ * Apply style overrides to the styles a script uses for dialogue.
+ *
+ * @param {string} text A script in SSA/ASS format
+ * @param {Object} options Overrides, as from restyle_options
+ * @returns {Object|null} The restyled script as { script, styles } where
+ * 'styles' are the names of the styles changed; or null if the script isn't
+ * in SSA/ASS format or has no styles.
+ */
+function script_restyle(text, options) {
+    let script = script_parse(text);
+    let styles = (script instanceof AssScript) ? script.styles() : null;
+    if (!styles) {
+        return null;
+    }
+    let dialogue = restyle_dialogue_styles(script);
+    let sy = script.play_res().y / RESTYLE_REFERENCE_HEIGHT;
+    let round = (n) => String(Math.round(n * 100) / 100);
+    var colour = null;
+    if (options.colour !== undefined) {
+        colour = restyle_colour(options.colour);
+        if (colour === null) {
+            console.warn(`Ignoring unrecognized colour ${options.colour}`);
+        }
+    }
+
+    let restyled = [];
+    styles.entries('Style').forEach((line) => {
+        let name = line.get('Name');
+        if (!dialogue.has(name)) {
+            return;
+        }
+        if (options.font !== undefined) {
+            line.set('Fontname', options.font);
+        }
+        if (options.scale !== undefined) {
+            line.set('Fontsize', round(Number(line.get('Fontsize')) * options.scale));
+        }
+        if (options.outline !== undefined) {
+            line.set('Outline', round(options.outline * sy));
+        }
+        if (options.shadow !== undefined) {
+            line.set('Shadow', round(options.shadow * sy));
+        }
+        if (colour !== null) {
+            line.set('PrimaryColour', colour);
+        }
+        if (options.margin_v !== undefined) {
+            line.set('MarginV', String(Math.round(options.margin_v * sy)));
+        }
+        if (options.bottom_centre) {
+            // Bottom centre is 2 in both SSA and ASS numbering.
+            line.set('Alignment', '2');
+        }
+        restyled.push(name);
+    });
+
+    if (options.bottom_centre) {
+        // Alignment overrides on dialogue lines would defeat the style's.
+        script.dialogue().forEach((line) => {
+            if (!dialogue.has(line.get('Style')) || !script_is_dialogue(script, line)) {
+                return;
+            }
+            let text = line.text();
+            let stripped = text.replace(/\{[^}]*\}/g, (block) => block.replace(/\\an?\d+/g, '')).replace(/\{\}/g, '');
+            if (stripped != text) {
+                line.set('Text', stripped);
+            }
+        });
+    }
+    return { 'script': script.serialize(), 'styles': restyled };
+}
@@ -0,0 +1,65 @@
+// Times in scripts: units, and the time format of SSA/ASS scripts.
+//
+// This and the other script modules (scriptcues.js, scriptutils.js and
+// scriptmerge.js) don't depend on the browser, and are wrapped so that they
+// can be loaded either way: as background scripts, whose exports become
+// globals shared with the rest of the extension, or with require(), as by
+// the command-line tools in cli/.
+
+(function (exports, imports) {
+    const MS_PER_HOUR = 60 * 60 * 1000;
+    const MS_PER_MINUTE = 60 * 1000;
+    const MS_PER_SECOND = 1000;
+    const MS_PER_CENTISECOND = 10;
+
+
+    /**
+     * @param {string} timestr Time string from script e.g. "0:04:08.01"
+     * @returns {Number} timestr converted to milliseconds
+     */
+    function script_parse_time(timestr) {
+        let fields = timestr.trim().split(':');
+        let s_frac = fields[2].split('.');
+        let frac = s_frac[1] || '0';
+
+        return (
+            Number(fields[0]) * MS_PER_HOUR
+            + Number(fields[1]) * MS_PER_MINUTE
+            + Number(s_frac[0]) * MS_PER_SECOND
+            + Math.round(Number(`0.${frac}`) * MS_PER_SECOND)
+        );
+    }
+
+    /**
+     * @param {number} timems Time in milliseconds; negative times are rendered as 0
+     * @returns {string} A time string in Dialogue format, e.g. "0:04:08.01"
+     */
+    function script_render_time(timems) {
+        let total = Math.max(0, Math.round(timems / MS_PER_CENTISECOND));
+        let centiseconds = total % (MS_PER_SECOND / MS_PER_CENTISECOND);
+        total = (total - centiseconds) / (MS_PER_SECOND / MS_PER_CENTISECOND);
+        let seconds = total % 60;
+        total = (total - seconds) / 60;
+        let minutes = total % 60;
+        let hours = (total - minutes) / 60;
+
+        let out_fields = [];
+        out_fields.push(String(hours));
+        out_fields.push(':')
+
+        out_fields.push(String(minutes).padStart(2, '0'));
+        out_fields.push(':')
+
+        out_fields.push(String(seconds).padStart(2, '0'));
+        out_fields.push('.')
+
+        out_fields.push(String(centiseconds).padStart(2, '0'));
+
+        return out_fields.join('');
+    }
+
+
+    Object.assign(exports, {
+        MS_PER_HOUR, MS_PER_MINUTE, MS_PER_SECOND, MS_PER_CENTISECOND, script_parse_time, script_render_time,
+    });
+})(...(typeof module == 'object') ? [module.exports, require] : [globalThis, () => globalThis]);
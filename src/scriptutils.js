@@ -1,166 +1,1106 @@
 // Utility functions for dealing with script/subtitle data.
+//
+// A browser-independent module; see scripttime.js.
 
-const MS_PER_HOUR = 60 * 60 * 1000;
-const MS_PER_MINUTE = 60 * 1000;
-const MS_PER_SECOND = 1000;
-const MS_PER_CENTISECOND = 10;
-
-
-/**
- * @param {string} timestr Time string from script e.g. "0:04:08.01"
- * @returns {Number} timestr converted to milliseconds
- */
-function script_parse_time(timestr) {
-    let fields = timestr.split(':');
-    let s_cs = fields[2].split('.');
-
-    return (
-        Number(fields[0]) * MS_PER_HOUR
-        + Number(fields[1]) * MS_PER_MINUTE
-        + Number(s_cs[0]) * MS_PER_SECOND
-        + Number(s_cs[1]) * MS_PER_CENTISECOND
-    );
-}
-
-/**
- * @param {number} timems Time in milliseconds
- * @returns {string} A time string in Dialogue format, e.g. "0:04:08.01"
- */
-function script_render_time(timems) {
-    var hours = 0;
-    var minutes = 0;
-    var seconds = 0;
-    var centiseconds = 0;
-
-    while (timems > MS_PER_HOUR) {
-        hours += 1;
-        timems -= MS_PER_HOUR;
-    }
-    while (timems > MS_PER_MINUTE) {
-        minutes += 1;
-        timems -= MS_PER_MINUTE;
-    }
-    while (timems > MS_PER_SECOND) {
-        seconds += 1;
-        timems -= MS_PER_SECOND;
-    }
-    while (timems > MS_PER_CENTISECOND) {
-        centiseconds += 1;
-        timems -= MS_PER_CENTISECOND;
-    }
-
-    let out_fields = [];
-    out_fields.push(String(hours));
-    out_fields.push(':')
-
-    out_fields.push(String(minutes).padStart(2, '0'));
-    out_fields.push(':')
-
-    out_fields.push(String(seconds).padStart(2, '0'));
-    out_fields.push('.')
-
-    out_fields.push(String(centiseconds).padStart(2, '0'));
-
-    return out_fields.join('');
-}
-
-/**
- * @param {string} text
- * @returns {string} A normalized form of dialogue text (for comparisons only) 
- */
-function script_normalize(text) {
-    const CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-
-    // Example:
-    // {\i1}...leaving only my footprints behind.{\i0}
-    // =>
-    // leavingonlymyfootprintsbehind
-    let out = '';
-    for (var i = 0; i < text.length; ++i) {
-        let ch = text[i];
-        if (ch == '\\') {
-            ++i;
-            continue;
-        }
-        if (ch == '{') {
-            while (i < text.length && text[i] != '}') {
-                ++i;
-            }
-            continue;
-        }
-        if (CHARS.indexOf(ch) != -1) {
-            out = out + ch;
-        }
-    }
-
-    return out;
-}
-
-/**
- * Parse and return all Dialogue lines from a script, normalizing the text.
- * @param {string} script 
- */
-function script_dialogue_lines(script) {
-    let lines = script.split("\r\n").filter((s) => s.startsWith("Dialogue: "));
-    return lines.map((line) => {
-        let text = script_extract_text(line);
-        let time = script_parse_time(line.split(',', 2)[1]);
-        return { 'raw': line, 'text': script_normalize(text), 'time': time };
-    })
-}
-
-/**
- * 
- * @param {string} line 
- */
-function script_extract_text(line) {
-    // Dialogue: 0,0:00:08.84,0:00:11.30,Default,,0000,0000,0000,,Foo, bar and baz
-    for (var i = 0; i < 9; ++i) {
-        let idx = line.indexOf(',');
-        line = line.substring(idx + 1);
-    }
-    return line;
-}
-
-/**
- * Try to find a matching line of dialogue between two scripts.
- * @param {string} script1
- * @param {string} script2
- * @return {Array<string>|null} Two matching lines, or null if no match
- */
-function script_match_text(script1, script2) {
-    let dialog1 = script_dialogue_lines(script1);
-    let dialog2 = script_dialogue_lines(script2);
-
-    for (var i = 0; i < dialog1.length; ++i) {
-        let line1 = dialog1[i];
-        if (line1.text.length < 6) {
-            // Too short for meaningful comparison
-            continue;
-        }
-        for (var j = 0; j < dialog2.length; ++j) {
-            let line2 = dialog2[j];
-            if (line1.text == line2.text) {
-                return [line1, line2];
-            }
-        }
-    }
-    return null;
-}
-
-
-/**
- * Try to find a timing adjustment which can cause two scripts to (fuzzily) match up.
- * @param {string} script1
- * @param {string} script2
- * @return {number|null} A duration in ms, or null if scripts can't be matched up.
- */
-function script_timing_adjust(script1, script2) {
-    let matched = script_match_text(script1, script2);
-    console.debug("script match?", matched);
-    if (!matched) {
-        return null;
-    }
-
-    return matched[0].time - matched[1].time;
-}
+(function (exports, imports) {
+    const { MS_PER_MINUTE, MS_PER_SECOND, script_parse_time, script_render_time } = imports('./scripttime.js');
+    const { VttScript, SrtScript } = imports('./scriptcues.js');
+
+    // Min length of normalized dialogue text for it to be used for matching.
+    // Anything shorter is too likely to match coincidentally. Length is as
+    // measured by script_text_weight().
+    const MATCH_MIN_LENGTH = 6;
+
+    // Min similarity (0-1, see script_similarity) for two lines which don't match
+    // exactly to be considered the same line, e.g. differing only in a typo or a
+    // word of punctuation.
+    const FUZZY_MIN_SIMILARITY = 0.85;
+
+    // Max difference (ms) between the times of two lines for them to be compared
+    // fuzzily. Generous, as versions can differ by a recap or drift as well as by
+    // an offset, but it keeps the number of comparisons from growing with the
+    // square of the scripts' length.
+    const FUZZY_MAX_DISTANCE = 5 * MS_PER_MINUTE;
+
+    // Characters from scripts in which each character carries roughly as much
+    // meaning as a short word, rather than a letter.
+    const WIDE_CHARS = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+    // Number of agreeing matched lines at which we're fully confident in an
+    // alignment. With fewer lines, confidence is scaled down proportionally.
+    const CONFIDENCE_FULL_SUPPORT = 5;
+
+    // Max difference (ms) between the offsets of matched lines for them to be
+    // considered part of the same contiguous region.
+    const SEGMENT_TOLERANCE = 500;
+
+    // Min number of matched lines for a region to be trusted. Regions with less
+    // support than this are assumed to be coincidental matches.
+    const SEGMENT_MIN_SUPPORT = 2;
+
+    // Min support of a region, as a share of that of the best-supported region,
+    // for it to be trusted. A few lines agreeing by coincidence among many more
+    // agreeing on something else are outliers, not a region of their own.
+    const SEGMENT_MIN_SHARE = 0.1;
+
+    // Limits for fitting a linear drift (scale + offset) between two scripts, as
+    // happens when one version was mastered at a slightly different speed (e.g.
+    // 23.976 vs 24 fps, or PAL speedup). A fit is only used if it's based on
+    // enough matched lines spread over enough of the video, fits those lines
+    // closely, and has a plausible scale.
+    const DRIFT_MIN_PAIRS = 10;
+    const DRIFT_MIN_SPAN = 5 * MS_PER_MINUTE;
+    const DRIFT_MAX_SCALE_DEVIATION = 0.05;
+    const DRIFT_MAX_RESIDUAL = 250;
+
+    // Matched lines further than this (ms) from an initial drift fit are
+    // discarded before fitting again.
+    const DRIFT_OUTLIER = 1000;
+
+    // Field names to assume for sections lacking a "Format:" line.
+    const ASS_DEFAULT_FORMATS = {
+        '[Events]': ['Layer', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'],
+    };
+
+    // Words in the style name of SSA/ASS events which aren't dialogue, e.g.
+    // "Sign", "OP_Romaji", "Song Lyrics", "Karaoke-ED" or "Insert".
+    const NON_DIALOGUE_STYLE = /(^|[^a-z])(signs?|songs?|lyrics?|kara(oke)?|op|ed|insert|titles?|on-?screen)([^a-z]|$)/i;
+
+    // Override tags of SSA/ASS events which aren't dialogue: positioned or moving
+    // text (signs), drawings, and karaoke timing (songs).
+    const NON_DIALOGUE_TAGS = /\{[^}]*\\(pos|move|p[1-9]|k[fo]?\d|K\d)[^}]*\}/;
+
+
+    /**
+     * A single line of an SSA/ASS script.
+     *
+     * Lines like "Style: ..." or "Dialogue: ..." in sections with a "Format:" line
+     * are entries, whose values can be read and modified by field name. Lines are
+     * kept verbatim unless modified, so unmodified scripts round-trip exactly.
+     */
+    class AssLine {
+        /**
+         * @param {string} raw Line contents, without line terminator
+         * @param {string} eol Line terminator ("\r\n", "\n", "\r", or "" at end of file)
+         * @param {Array<string>|null} format Field names for entries on this line,
+         * from the section's "Format:" line
+         */
+        constructor(raw, eol, format) {
+            this.raw = raw;
+            this.eol = eol;
+            this.format = format;
+            this._values = null;
+
+            let idx = raw.indexOf(':');
+            this.key = (idx > 0 && !raw.startsWith(';')) ? raw.substring(0, idx) : null;
+        }
+
+        /**
+         * @returns {boolean} true if this is a Dialogue or Comment event.
+         */
+        is_event() {
+            return this.key == 'Dialogue' || this.key == 'Comment';
+        }
+
+        /**
+         * @returns {number} Start time (ms) of this event
+         */
+        start_ms() {
+            return script_parse_time(this.get('Start'));
+        }
+
+        /**
+         * @returns {number} End time (ms) of this event
+         */
+        end_ms() {
+            return script_parse_time(this.get('End'));
+        }
+
+        /**
+         * @param {number} start New start time (ms)
+         * @param {number} end New end time (ms)
+         */
+        set_times(start, end) {
+            this.set('Start', script_render_time(start));
+            this.set('End', script_render_time(end));
+        }
+
+        /**
+         * @returns {string} Text of this event, including any override blocks
+         */
+        text() {
+            return this.get('Text');
+        }
+
+        /**
+         * @returns {Array<string>} Values of this entry, one per field in the format.
+         * The last value takes up the remainder of the line, commas and all.
+         */
+        values() {
+            if (this._values === null) {
+                let rest = this.raw.substring(this.key.length + 1).replace(/^ /, '');
+                let out = [];
+                while (out.length < this.format.length - 1) {
+                    let comma = rest.indexOf(',');
+                    if (comma == -1) {
+                        break;
+                    }
+                    out.push(rest.substring(0, comma));
+                    rest = rest.substring(comma + 1);
+                }
+                out.push(rest);
+                while (out.length < this.format.length) {
+                    out.push('');
+                }
+                this._values = out;
+            }
+            return this._values;
+        }
+
+        /**
+         * @param {string} name Field name, e.g. "Start"
+         * @returns {string|undefined} Value of that field, or undefined if this entry has no such field
+         */
+        get(name) {
+            let idx = this.format ? this.format.indexOf(name) : -1;
+            return (idx == -1) ? undefined : this.values()[idx];
+        }
+
+        /**
+         * @param {string} name Field name, e.g. "Start"
+         * @param {string} value New value for the field; ignored if this entry has no such field
+         */
+        set(name, value) {
+            let idx = this.format ? this.format.indexOf(name) : -1;
+            if (idx == -1) {
+                return;
+            }
+            this.values()[idx] = value;
+            this.raw = this.render(this.format);
+        }
+
+        /**
+         * @param {Array<string>} format Field names to render, in order
+         * @returns {string} This entry rendered according to format, e.g. for
+         * copying it into a section with a different "Format:" line. Fields this
+         * entry doesn't have are rendered as "0".
+         */
+        render(format) {
+            let values = format.map((name) => {
+                let value = this.get(name);
+                return (value === undefined) ? '0' : value;
+            });
+            return `${this.key}: ${values.join(',')}`;
+        }
+    }
+
+
+    /**
+     * A section of an SSA/ASS script, e.g. "[Events]".
+     */
+    class AssSection {
+        /**
+         * @param {AssLine|null} header The section's header line, or null for
+         * anything preceding the first header
+         */
+        constructor(header) {
+            this.header = header;
+            this.name = header ? header.raw.trim() : '';
+            this.lines = [];
+            this.format = ASS_DEFAULT_FORMATS[this.name] || null;
+        }
+
+        /**
+         * @param {string} key e.g. "Style"
+         * @returns {Array<AssLine>} All entries in this section with the given key
+         */
+        entries(key) {
+            return this.lines.filter((line) => line.key == key);
+        }
+
+        /**
+         * @returns {Array<string>} Field names from this section's "Format:" line
+         * (or the default format for this kind of section), or an empty list
+         */
+        fields() {
+            return this.format || [];
+        }
+
+        /**
+         * Add entries at the end of the section, ahead of any trailing blank lines.
+         * @param {Array<string>} raws Line contents
+         * @param {string} newline Line terminator for the added lines
+         */
+        append(raws, newline) {
+            var idx = this.lines.length;
+            while (idx > 0 && this.lines[idx - 1].raw.trim() === '') {
+                --idx;
+            }
+            let added = raws.map((raw) => new AssLine(raw, newline, this.format));
+            if (added.length && idx > 0 && idx == this.lines.length && this.lines[idx - 1].eol === '') {
+                // Appending after the end of the file.
+                this.lines[idx - 1].eol = newline;
+                added[added.length - 1].eol = '';
+            }
+            this.lines.splice(idx, 0, ...added);
+        }
+    }
+
+
+    /**
+     * An SSA/ASS script, parsed into sections.
+     *
+     * Lines may be terminated by CRLF or LF alone. Serializing a script which
+     * hasn't been modified reproduces the original exactly.
+     */
+    class AssScript {
+        /**
+         * @param {string} text A full script in SSA/ASS format
+         */
+        constructor(text) {
+            this.bom = text.startsWith('\uFEFF') ? '\uFEFF' : '';
+            if (this.bom) {
+                text = text.substring(1);
+            }
+
+            let parts = text.split(/(\r\n|\n|\r)/);
+            this.newline = (parts.length > 1) ? parts[1] : "\r\n";
+            this.sections = [new AssSection(null)];
+
+            for (var i = 0; i < parts.length; i += 2) {
+                let raw = parts[i];
+                let eol = (i + 1 < parts.length) ? parts[i + 1] : '';
+                let section = this.sections[this.sections.length - 1];
+
+                let trimmed = raw.trim();
+                if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+                    this.sections.push(new AssSection(new AssLine(raw, eol, null)));
+                    continue;
+                }
+
+                let line = new AssLine(raw, eol, section.format);
+                if (line.key == 'Format') {
+                    section.format = raw.substring(raw.indexOf(':') + 1).split(',').map((f) => f.trim());
+                    line.format = null;
+                }
+                section.lines.push(line);
+            }
+        }
+
+        /**
+         * @param {...string} names Acceptable section names, e.g. "[V4+ Styles]"
+         * @returns {AssSection|undefined} The first section with one of the given names
+         */
+        section(...names) {
+            return this.sections.find((section) => names.indexOf(section.name) != -1);
+        }
+
+        /**
+         * @returns {AssSection|undefined} The styles section, of either SSA or ASS flavour
+         */
+        styles() {
+            return this.section('[V4+ Styles]', '[V4 Styles]');
+        }
+
+        /**
+         * @returns {Array<AssLine>} All Dialogue and Comment events
+         */
+        events() {
+            let section = this.section('[Events]');
+            return section ? section.lines.filter((line) => line.is_event()) : [];
+        }
+
+        /**
+         * @returns {Array<AssLine>} All Dialogue events
+         */
+        dialogue() {
+            return this.events().filter((line) => line.key == 'Dialogue');
+        }
+
+        /**
+         * Remove events from the script.
+         * @param {function(AssLine): boolean} predicate Returns true for events to remove
+         * @returns {number} Number of events removed
+         */
+        remove_events(predicate) {
+            let section = this.section('[Events]');
+            if (!section) {
+                return 0;
+            }
+            let before = section.lines.length;
+            section.lines = section.lines.filter((line) => !(line.is_event() && predicate(line)));
+            return before - section.lines.length;
+        }
+
+        /**
+         * @param {string} key e.g. "PlayResY"
+         * @returns {string|null} Value from the [Script Info] section, or null if unset
+         */
+        info(key) {
+            let section = this.section('[Script Info]');
+            let line = section ? section.entries(key)[0] : undefined;
+            return line ? line.raw.substring(key.length + 1).trim() : null;
+        }
+
+        /**
+         * @returns {Object} Script resolution as { x, y }, using the same defaults
+         * as renderers when either is unspecified.
+         */
+        play_res() {
+            let x = Number(this.info('PlayResX')) || 0;
+            let y = Number(this.info('PlayResY')) || 0;
+            if (!x && !y) {
+                return { 'x': 384, 'y': 288 };
+            }
+            if (!x) {
+                x = (y == 1024) ? 1280 : Math.round(y * 4 / 3);
+            }
+            if (!y) {
+                y = (x == 1280) ? 1024 : Math.round(x * 3 / 4);
+            }
+            return { 'x': x, 'y': y };
+        }
+
+        /**
+         * @returns {boolean} true if this script has events we know how to work with
+         */
+        events_ok() {
+            let section = this.section('[Events]');
+            if (!section) {
+                return false;
+            }
+            let fields = section.fields();
+            return ['Start', 'End', 'Text'].every((f) => fields.indexOf(f) != -1);
+        }
+
+        /**
+         * @returns {string} The script in SSA/ASS format
+         */
+        serialize() {
+            let out = [this.bom];
+            this.sections.forEach((section) => {
+                if (section.header) {
+                    out.push(section.header.raw, section.header.eol);
+                }
+                section.lines.forEach((line) => out.push(line.raw, line.eol));
+            });
+            return out.join('');
+        }
+    }
+
+
+    /**
+     * @param {string} text
+     * @returns {string} A normalized form of dialogue text (for comparisons only) 
+     */
+    function script_normalize(text) {
+        // Example:
+        // {\i1}...Leaving only my footprints behind.{\i0}
+        // =>
+        // leavingonlymyfootprintsbehind
+        //
+        // Override blocks and escapes such as \N are stripped; compatibility
+        // forms (e.g. full-width letters) are unified, case is folded, and
+        // anything other than letters, combining marks and digits is dropped.
+        return text
+            .replace(/\{[^}]*\}/g, '')
+            .replace(/\\./g, ' ')
+            .normalize('NFKC')
+            .toUpperCase()
+            .toLowerCase()
+            .replace(/[^\p{L}\p{M}\p{N}]/gu, '');
+    }
+
+    /**
+     * @param {string} text Normalized dialogue text
+     * @returns {number} Length of text, with CJK characters counting double as
+     * they carry more meaning each.
+     */
+    function script_text_weight(text) {
+        var out = 0;
+        for (const ch of text) {
+            out += WIDE_CHARS.test(ch) ? 2 : 1;
+        }
+        return out;
+    }
+
+    /**
+     * @param {string} text Normalized dialogue text
+     * @returns {Map<string, number>} Counts of each pair of adjacent characters in text
+     */
+    function script_bigrams(text) {
+        let chars = Array.from(text);
+        let out = new Map();
+        if (chars.length == 1) {
+            out.set(chars[0], 1);
+        }
+        for (var i = 0; i + 1 < chars.length; ++i) {
+            let gram = chars[i] + chars[i + 1];
+            out.set(gram, (out.get(gram) || 0) + 1);
+        }
+        out.total = Math.max(chars.length - 1, chars.length ? 1 : 0);
+        return out;
+    }
+
+    /**
+     * @param {Map<string, number>} grams1 Bigrams from script_bigrams
+     * @param {Map<string, number>} grams2 Bigrams from script_bigrams
+     * @returns {number} Similarity (Dice coefficient) of the two texts, from 0
+     * (nothing in common) to 1 (identical bigrams).
+     */
+    function script_similarity(grams1, grams2) {
+        let total = grams1.total + grams2.total;
+        if (total == 0) {
+            return 0;
+        }
+        var common = 0;
+        grams1.forEach((count, gram) => {
+            common += Math.min(count, grams2.get(gram) || 0);
+        });
+        return 2 * common / total;
+    }
+
+    /**
+     * Parse a script in any supported format.
+     * @param {string} text A full script in SSA/ASS, WebVTT or SRT format
+     * @returns {AssScript|VttScript|SrtScript|null} The parsed script, or null if
+     * the format isn't recognized or the script has no usable events.
+     */
+    function script_parse(text) {
+        let head = text.replace(/^\uFEFF/, '').trimStart();
+        var out = null;
+        if (head.startsWith('WEBVTT')) {
+            out = new VttScript(text);
+        } else if (/^\[(Script Info|V4\+? Styles|Events)\]/im.test(text)) {
+            out = new AssScript(text);
+        } else if (/^\s*\d+\s*\r?\n\s*\d+:\d{2}:\d{2}[,.]\d{1,3}\s+-->/.test(head)) {
+            out = new SrtScript(text);
+        }
+        return (out && out.events_ok()) ? out : null;
+    }
+
+    /**
+     * Parse and return all Dialogue lines from a script, normalizing the text.
+     * @param {string} script A script in any format supported by script_parse
+     */
+    function script_dialogue_lines(script) {
+        let parsed = script_parse(script);
+        if (!parsed) {
+            return [];
+        }
+        return parsed.dialogue().map((line) => {
+            return { 'text': script_normalize(line.text()), 'time': line.start_ms(), 'end': line.end_ms() };
+        })
+    }
+
+    /**
+     * @param {AssScript|VttScript|SrtScript} script
+     * @param {AssLine|CueBlock} event An event of script
+     * @returns {boolean} true if the event is spoken dialogue, rather than a sign,
+     * song lyrics or an empty line.
+     */
+    function script_is_dialogue(script, event) {
+        if (script instanceof AssScript) {
+            let text = event.text();
+            if (NON_DIALOGUE_STYLE.test(event.get('Style') || '') || NON_DIALOGUE_TAGS.test(text)) {
+                return false;
+            }
+            return text.replace(/\{[^}]*\}/g, '').replace(/\\[Nnh]/g, ' ').trim() !== '';
+        }
+        let text = event.text().trim();
+        // Song lyrics in cue-based scripts are marked with musical notes.
+        return text !== '' && !/^[♪♫]/.test(text);
+    }
+
+    /**
+     * Count a script's dialogue, to judge whether it's a full translation or only
+     * signs and songs.
+     *
+     * @param {string} text A script in any format supported by script_parse
+     * @returns {Object} Stats as { events, dialogue, dialogue_ms } where 'events' is
+     * the number of displayed events, 'dialogue' how many of them are dialogue,
+     * and 'dialogue_ms' how long (ms) any dialogue is on screen. All are 0 if the
+     * script isn't recognized.
+     */
+    function script_dialogue_stats(text) {
+        let script = script_parse(text);
+        if (!script) {
+            return { 'events': 0, 'dialogue': 0, 'dialogue_ms': 0 };
+        }
+        let events = script.dialogue();
+        let dialogue = events.filter((event) => script_is_dialogue(script, event));
+
+        // Overlapping lines (e.g. two speakers at once) count towards the time once.
+        let spans = dialogue.map((event) => [event.start_ms(), event.end_ms()])
+            .filter((span) => span[1] > span[0])
+            .sort((a, b) => a[0] - b[0]);
+        var dialogue_ms = 0;
+        var covered = -Infinity;
+        spans.forEach(([start, end]) => {
+            if (end > covered) {
+                dialogue_ms += end - Math.max(start, covered);
+                covered = end;
+            }
+        });
+        return { 'events': events.length, 'dialogue': dialogue.length, 'dialogue_ms': dialogue_ms };
+    }
+
+    /**
+     * @param {Array<Object>} dialog Lines from script_dialogue_lines
+     * @returns {Map<string, Object>} Lines usable for matching, keyed by text.
+     * Text occurring at more than one time (e.g. a catchphrase or a repeated
+     * "previously on" line) is ambiguous and left out.
+     */
+    function script_unique_lines(dialog) {
+        let times = new Map();
+        dialog.forEach((line) => {
+            if (!times.has(line.text)) {
+                times.set(line.text, new Set());
+            }
+            times.get(line.text).add(line.time);
+        });
+
+        let out = new Map();
+        dialog.forEach((line) => {
+            if (script_text_weight(line.text) >= MATCH_MIN_LENGTH && times.get(line.text).size == 1) {
+                out.set(line.text, line);
+            }
+        });
+        return out;
+    }
+
+    /**
+     * Find lines which nearly match between two sets of lines.
+     *
+     * A pair is only accepted if each line is the other's single close match,
+     * so near-duplicate lines within a script don't produce ambiguous matches.
+     * Only lines within FUZZY_MAX_DISTANCE of each other are compared.
+     *
+     * @param {Array<Object>} lines1 Lines from script_dialogue_lines
+     * @param {Array<Object>} lines2 Lines from script_dialogue_lines
+     * @returns {Array<Array<Object>>} Pairs of matching lines
+     */
+    function script_fuzzy_pairs(lines1, lines2) {
+        let grams1 = lines1.map((line) => script_bigrams(line.text));
+        let grams2 = lines2.map((line) => script_bigrams(line.text));
+
+        // For every line on either side: the index of its most similar line on the
+        // other side, and how many lines on the other side are similar enough.
+        let best1 = lines1.map(() => ({ 'index': -1, 'score': 0, 'close': 0 }));
+        let best2 = lines2.map(() => ({ 'index': -1, 'score': 0, 'close': 0 }));
+        let update = (best, index, score) => {
+            if (score >= FUZZY_MIN_SIMILARITY) {
+                best.close += 1;
+            }
+            if (score > best.score) {
+                best.score = score;
+                best.index = index;
+            }
+        };
+
+        let order2 = lines2.map((line, j) => j).sort((a, b) => lines2[a].time - lines2[b].time);
+        for (var i = 0; i < lines1.length; ++i) {
+            let time = lines1[i].time;
+            // The first of lines2 within reach, in order of time.
+            var lo = 0;
+            var hi = order2.length;
+            while (lo < hi) {
+                let mid = (lo + hi) >> 1;
+                if (lines2[order2[mid]].time < time - FUZZY_MAX_DISTANCE) {
+                    lo = mid + 1;
+                } else {
+                    hi = mid;
+                }
+            }
+            for (var k = lo; k < order2.length && lines2[order2[k]].time <= time + FUZZY_MAX_DISTANCE; ++k) {
+                let j = order2[k];
+                let a = grams1[i].total;
+                let b = grams2[j].total;
+                if (2 * Math.min(a, b) / (a + b) < FUZZY_MIN_SIMILARITY) {
+                    // Lengths alone rule out a match.
+                    continue;
+                }
+                let score = script_similarity(grams1[i], grams2[j]);
+                update(best1[i], j, score);
+                update(best2[j], i, score);
+            }
+        }
+
+        let out = [];
+        best1.forEach((best, i) => {
+            if (best.close == 1 && best2[best.index].close == 1 && best2[best.index].index == i) {
+                out.push([lines1[i], lines2[best.index]]);
+            }
+        });
+        return out;
+    }
+
+    /**
+     * Find all matching lines of dialogue between two scripts.
+     *
+     * Only lines whose text is unique within both scripts are matched; first by
+     * exact (normalized) text, then fuzzily among whatever's left. Matches aren't
+     * necessarily consistent with each other; it's up to the caller to weed out
+     * coincidental ones.
+     *
+     * @param {string} script1
+     * @param {string} script2
+     * @return {Array<Array<Object>>} Pairs of matching lines, ordered by time in script2
+     */
+    function script_match_pairs(script1, script2) {
+        let lines1 = script_unique_lines(script_dialogue_lines(script1));
+        let lines2 = script_unique_lines(script_dialogue_lines(script2));
+        var out = [];
+
+        let rest1 = [];
+        lines1.forEach((line1, text) => {
+            let line2 = lines2.get(text);
+            if (line2) {
+                out.push([line1, line2]);
+                lines2.delete(text);
+            } else {
+                rest1.push(line1);
+            }
+        });
+        out = out.concat(script_fuzzy_pairs(rest1, Array.from(lines2.values())));
+
+        out.sort((a, b) => a[1].time - b[1].time);
+        return out;
+    }
+
+    /**
+     * Pair lines of two scripts by time rather than text, for scripts already
+     * in the same timing, e.g. in different languages once retimed with the
+     * same TimingMap.
+     *
+     * Lines are paired if they start and end within SEGMENT_TOLERANCE of each
+     * other, i.e. as closely as lines must agree to belong to the same segment
+     * of a map, and each is the other's closest. A line which one script
+     * splits in two isn't paired with either half.
+     *
+     * @param {Array<Object>} lines1 Lines as { time, end }, e.g. from script_dialogue_lines
+     * @param {Array<Object>} lines2 Lines as { time, end }
+     * @returns {Array<Array<Object>>} Pairs of lines, in the order of lines1
+     */
+    function script_time_pairs(lines1, lines2) {
+        let distance = (a, b) => Math.max(Math.abs(a.time - b.time), Math.abs(a.end - b.end));
+        let closest = (line, others) => {
+            var found = null;
+            others.forEach((other) => {
+                let d = distance(line, other);
+                if (d <= SEGMENT_TOLERANCE && (!found || d < distance(line, found))) {
+                    found = other;
+                }
+            });
+            return found;
+        };
+
+        let out = [];
+        lines1.forEach((line1) => {
+            let line2 = closest(line1, lines2);
+            if (line2 && closest(line2, lines1) === line1) {
+                out.push([line1, line2]);
+            }
+        });
+        return out;
+    }
+
+    /**
+     * @param {number} support Number of matched lines agreeing with an alignment
+     * @param {number} total Total number of matched lines
+     * @returns {number} Confidence in the alignment, from 0 to 1
+     */
+    function script_confidence(support, total) {
+        if (total == 0) {
+            return 0;
+        }
+        return (support / total) * Math.min(1, support / CONFIDENCE_FULL_SUPPORT);
+    }
+
+    /**
+     * @param {Array<number>} values
+     * @returns {number} Median of values
+     */
+    function median(values) {
+        let sorted = values.slice().sort((a, b) => a - b);
+        let mid = Math.floor(sorted.length / 2);
+        return (sorted.length % 2) ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+
+    /**
+     * A mapping of times from one script onto another.
+     *
+     * Made up of contiguous regions ("segments") of the source script, each with
+     * its own offset. This accounts for material inserted into or cut from one
+     * version partway through, e.g. recaps, eyecatches or censored scenes.
+     *
+     * A segment may also have a scale, to account for versions running at
+     * slightly different speeds. Source time t maps to t * scale + offset.
+     */
+    class TimingMap {
+        /**
+         * @param {Array<Object>} segments Regions as { start, end, offset, scale } where
+         * start/end are source times (ms), offset is added to times in that region
+         * and scale (default 1) multiplies them. Must be sorted and non-overlapping.
+         */
+        constructor(segments) {
+            this.segments = segments.map((seg) => Object.assign({ 'scale': 1 }, seg));
+
+            // Number of matched lines agreeing with this map, and confidence (0-1)
+            // in it, if it was derived from comparing scripts.
+            this.support = 0;
+            this.confidence = 0;
+
+            // Language of the scripts compared to derive this map, if any.
+            this.reference = null;
+        }
+
+        /**
+         * @param {number} offset
+         * @returns {TimingMap} A map applying the same offset everywhere.
+         */
+        static constant(offset) {
+            return new TimingMap([{ 'start': 0, 'end': 0, 'offset': offset }]);
+        }
+
+        /**
+         * @param {Object} obj A map as returned by as_object()
+         * @returns {TimingMap}
+         */
+        static from_object(obj) {
+            let out = new TimingMap(obj.segments);
+            out.support = obj.support;
+            out.confidence = obj.confidence;
+            out.reference = obj.reference;
+            return out;
+        }
+
+        /**
+         * @returns {Object} A copy of this map as plain data, suitable for storage
+         */
+        as_object() {
+            return JSON.parse(JSON.stringify(this));
+        }
+
+        /**
+         * @param {Object} transform A segment of this map
+         * @param {number} time A time (ms) in the source script
+         * @returns {number} time mapped through transform
+         */
+        static apply(transform, time) {
+            return Math.round(time * transform.scale + transform.offset);
+        }
+
+        /**
+         * @param {number} time A time (ms) in the source script
+         * @returns {Object|null} Segment whose transform applies at that time, or null
+         * if the time falls in material which doesn't exist in the target.
+         */
+        transform_at(time) {
+            let segments = this.segments;
+            for (var i = 0; i < segments.length; ++i) {
+                let seg = segments[i];
+                if (time < seg.start) {
+                    return (i == 0) ? seg : this._gap_transform(time, segments[i - 1], seg);
+                }
+                if (time <= seg.end) {
+                    return seg;
+                }
+            }
+            return segments[segments.length - 1];
+        }
+
+        /**
+         * Transform for a time between two segments.
+         *
+         * If material was cut from the target between the two segments, source
+         * times which would overlap the target's neighbouring regions under both
+         * transforms must be within the cut material.
+         */
+        _gap_transform(time, prev, next) {
+            let nearest = (time - prev.end <= next.start - time) ? prev : next;
+            let prev_end = TimingMap.apply(prev, prev.end);
+            let next_start = TimingMap.apply(next, next.start);
+            if (next_start - prev_end >= next.start - prev.end) {
+                // Nothing cut (maybe something inserted); any time here is fine.
+                return nearest;
+            }
+
+            let prev_ok = TimingMap.apply(prev, time) < next_start;
+            let next_ok = TimingMap.apply(next, time) > prev_end;
+            if (prev_ok && next_ok) {
+                return nearest;
+            }
+            if (prev_ok) {
+                return prev;
+            }
+            if (next_ok) {
+                return next;
+            }
+            return null;
+        }
+
+        /**
+         * @param {number} time A time (ms) in the source script
+         * @returns {number|null} The effective offset (ms) at that time, or null if
+         * the time falls in material which doesn't exist in the target.
+         */
+        offset_at(time) {
+            let transform = this.transform_at(time);
+            return transform && (TimingMap.apply(transform, time) - time);
+        }
+
+        /**
+         * @returns {Array<number>} The effective offsets (ms) at the start and end
+         * of every segment.
+         */
+        offsets() {
+            let out = [];
+            this.segments.forEach((seg) => {
+                out.push(TimingMap.apply(seg, seg.start) - seg.start);
+                out.push(TimingMap.apply(seg, seg.end) - seg.end);
+            });
+            return out;
+        }
+
+        /**
+         * @param {TimingMap|null} other
+         * @returns {boolean} true if this map (from comparing scripts) is more
+         * trustworthy than other: more confident, or as confident and better supported.
+         */
+        better_than(other) {
+            return !other || this.confidence > other.confidence
+                || (this.confidence == other.confidence && this.support > other.support);
+        }
+
+        /**
+         * @returns {string} "offset+scale" if any part of this map is scaled,
+         * otherwise "offset".
+         */
+        method() {
+            return this.segments.some((seg) => seg.scale != 1) ? 'offset+scale' : 'offset';
+        }
+
+        /**
+         * @returns {string} A human-readable summary of this map.
+         */
+        describe() {
+            let render = (seg) => (seg.scale == 1) ? `${seg.offset}ms` : `${seg.offset}ms x${seg.scale.toFixed(6)}`;
+            if (this.segments.length == 1) {
+                return render(this.segments[0]);
+            }
+            let parts = this.segments.map((seg) => {
+                return `${script_render_time(seg.start)}: ${render(seg)}`;
+            });
+            return `${this.segments.length} segments (${parts.join(', ')})`;
+        }
+    }
+
+
+    /**
+     * Least-squares fit of target time against source time.
+     * @param {Array<Array<Object>>} pairs Matching lines from script_match_pairs
+     * @returns {Object} Fit as { scale, offset, residual } where residual is the
+     * RMS error (ms) of the fit.
+     */
+    function script_fit_linear(pairs) {
+        let n = pairs.length;
+        let xs = pairs.map(([line1, line2]) => line2.time);
+        let ys = pairs.map(([line1, line2]) => line1.time);
+        let mean_x = xs.reduce((a, b) => a + b, 0) / n;
+        let mean_y = ys.reduce((a, b) => a + b, 0) / n;
+
+        var sxx = 0;
+        var sxy = 0;
+        for (var i = 0; i < n; ++i) {
+            sxx += (xs[i] - mean_x) * (xs[i] - mean_x);
+            sxy += (xs[i] - mean_x) * (ys[i] - mean_y);
+        }
+        let scale = (sxx > 0) ? sxy / sxx : 1;
+        let offset = mean_y - scale * mean_x;
+
+        var sq = 0;
+        for (var i = 0; i < n; ++i) {
+            let err = ys[i] - (xs[i] * scale + offset);
+            sq += err * err;
+        }
+        return { 'scale': scale, 'offset': offset, 'residual': Math.sqrt(sq / n) };
+    }
+
+    /**
+     * Try to fit a linear drift (scale + offset) across all matched lines.
+     * @param {Array<Array<Object>>} pairs Matching lines from script_match_pairs
+     * @returns {Object|null} A segment as accepted by TimingMap, or null if there's
+     * no reliable fit or a plain offset would do just as well.
+     */
+    function script_fit_drift(pairs) {
+        if (pairs.length < DRIFT_MIN_PAIRS) {
+            return null;
+        }
+
+        let fit = script_fit_linear(pairs);
+        let inliers = pairs.filter(([line1, line2]) => {
+            return Math.abs(line1.time - (line2.time * fit.scale + fit.offset)) <= DRIFT_OUTLIER;
+        });
+        if (inliers.length < DRIFT_MIN_PAIRS) {
+            return null;
+        }
+        fit = script_fit_linear(inliers);
+
+        let start = inliers[0][1].time;
+        let end = inliers[inliers.length - 1][1].time;
+        let drift = Math.abs(fit.scale - 1) * (end - start);
+        console.debug(`drift fit: scale ${fit.scale}, offset ${fit.offset}, residual ${fit.residual}ms, `
+            + `${inliers.length}/${pairs.length} lines`);
+
+        if (end - start < DRIFT_MIN_SPAN
+            || Math.abs(fit.scale - 1) > DRIFT_MAX_SCALE_DEVIATION
+            || fit.residual > DRIFT_MAX_RESIDUAL
+            || drift <= SEGMENT_TOLERANCE) {
+            return null;
+        }
+
+        return {
+            'start': start,
+            'end': end,
+            'offset': Math.round(fit.offset),
+            'scale': fit.scale,
+            'support': inliers.length,
+        };
+    }
+
+
+    /**
+     * Group matched lines into contiguous regions sharing (approximately) the same offset.
+     * @param {Array<Array<Object>>} pairs Matching lines from script_match_pairs
+     * @returns {Array<Object>} Segments as accepted by TimingMap
+     */
+    function script_segments(pairs) {
+        var groups = [];
+        var current = null;
+        pairs.forEach(([line1, line2]) => {
+            let offset = line1.time - line2.time;
+            if (current && Math.abs(offset - median(current.offsets)) <= SEGMENT_TOLERANCE) {
+                current.offsets.push(offset);
+                current.end = line2.time;
+            } else {
+                current = { 'start': line2.time, 'end': line2.time, 'offsets': [offset] };
+                groups.push(current);
+            }
+        });
+
+        // Drop coincidental matches, unless that would leave nothing at all.
+        let most = groups.reduce((max, g) => Math.max(max, g.offsets.length), 0);
+        let min_support = Math.max(SEGMENT_MIN_SUPPORT, SEGMENT_MIN_SHARE * most);
+        let supported = groups.filter((g) => g.offsets.length >= min_support);
+        if (supported.length == 0 && groups.length > 0) {
+            supported = [groups.reduce((a, b) => (b.offsets.length > a.offsets.length) ? b : a)];
+        }
+
+        // With those gone, neighbours may now turn out to be the same region.
+        var merged = [];
+        supported.forEach((g) => {
+            let last = merged[merged.length - 1];
+            if (last && Math.abs(median(g.offsets) - median(last.offsets)) <= SEGMENT_TOLERANCE) {
+                last.offsets = last.offsets.concat(g.offsets);
+                last.end = g.end;
+            } else {
+                merged.push(g);
+            }
+        });
+
+        return merged.map((g) => {
+            return { 'start': g.start, 'end': g.end, 'offset': Math.round(median(g.offsets)), 'support': g.offsets.length };
+        });
+    }
+
+
+    /**
+     * Try to find a timing map which can cause two scripts to (fuzzily) match up.
+     *
+     * All matched lines vote on the alignment; lines which disagree with the
+     * majority of their neighbours are rejected as outliers.
+     *
+     * @param {string} script1 Script in the target timing
+     * @param {string} script2 Script in the source timing
+     * @return {TimingMap|null} A map of script2 times onto script1, with support
+     * and confidence set, or null if scripts can't be matched up.
+     */
+    function script_timing_map(script1, script2) {
+        let pairs = script_match_pairs(script1, script2);
+        console.debug(`script matches: ${pairs.length}`);
+
+        // A steady drift would otherwise be chopped up into many offset-only
+        // segments, so try that first.
+        let drift = script_fit_drift(pairs);
+        let segments = drift ? [drift] : script_segments(pairs);
+        if (segments.length == 0) {
+            return null;
+        }
+
+        let out = new TimingMap(segments);
+        out.support = segments.reduce((total, seg) => total + seg.support, 0);
+        out.confidence = script_confidence(out.support, pairs.length);
+        return out;
+    }
+
+    /**
+     * Adjust the times of all events in a script.
+     *
+     * Both times of an event are adjusted by the transform in effect at its start,
+     * so that events aren't split across regions. Events falling in material
+     * missing from the target, or ending up entirely before 0:00, are dropped;
+     * events starting before 0:00 are clamped to start at 0:00.
+     *
+     * @param {AssScript|VttScript|SrtScript} script Script to be adjusted (modified in place)
+     * @param {TimingMap} map Timing adjustment
+     * @returns {number} Number of events dropped
+     */
+    function script_retime(script, map) {
+        return script.remove_events((line) => {
+            let start = line.start_ms();
+            let transform = map.transform_at(start);
+            if (transform === null) {
+                return true;
+            }
+
+            let new_end = TimingMap.apply(transform, line.end_ms());
+            if (new_end <= 0) {
+                return true;
+            }
+            line.set_times(Math.max(0, TimingMap.apply(transform, start)), new_end);
+            return false;
+        });
+    }
+
+    /**
+     * Adjust the times of all events in a script, given as text.
+     *
+     * @param {string} text A script in SSA/ASS, WebVTT or SRT format
+     * @param {TimingMap} map Timing adjustment
+     * @returns {Object|null} The adjusted script as { script, dropped } where
+     * 'dropped' is the number of events dropped by script_retime; or null if
+     * the script's format isn't recognized.
+     */
+    function script_retime_text(text, map) {
+        let parsed = script_parse(text);
+        if (!parsed) {
+            return null;
+        }
+        let dropped = script_retime(parsed, map);
+        return { 'script': parsed.serialize(), 'dropped': dropped };
+    }
+
+
+    Object.assign(exports, {
+        MATCH_MIN_LENGTH, FUZZY_MIN_SIMILARITY, FUZZY_MAX_DISTANCE, WIDE_CHARS, CONFIDENCE_FULL_SUPPORT,
+        SEGMENT_TOLERANCE, SEGMENT_MIN_SUPPORT, SEGMENT_MIN_SHARE, DRIFT_MIN_PAIRS, DRIFT_MIN_SPAN,
+        DRIFT_MAX_SCALE_DEVIATION, DRIFT_MAX_RESIDUAL, DRIFT_OUTLIER, ASS_DEFAULT_FORMATS, NON_DIALOGUE_STYLE,
+        NON_DIALOGUE_TAGS, AssLine, AssSection, AssScript, script_normalize, script_text_weight,
+        script_bigrams, script_similarity, script_parse, script_dialogue_lines, script_is_dialogue,
+        script_dialogue_stats, script_unique_lines, script_fuzzy_pairs, script_match_pairs, script_time_pairs,
+        script_confidence, median, TimingMap, script_fit_linear, script_fit_drift, script_segments,
+        script_timing_map, script_retime, script_retime_text,
+    });
+})(...(typeof module == 'object') ? [module.exports, require] : [globalThis, () => globalThis]);
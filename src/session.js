@@ -0,0 +1,50 @@
+// State which must outlive the background page, which may be suspended while
+// idle. Kept in browser.storage.session, which (unlike storage.local) is
+// cleared when the browser closes.
+
+// Writes are queued so that an older state never overwrites a newer one.
+var _SESSION_WRITES = Promise.resolve();
+
+// Request headers never saved: credentials are only ever kept in memory.
+const SESSION_CREDENTIAL_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+
+
+/**
+ * @param {string} key
+ * @returns {Promise<any>} Value saved under key, or undefined
+ */
+async function session_load(key) {
+    let stored = await browser.storage.session.get(key);
+    return stored[key];
+}
+
+/**
+ * @param {Array<Object>} headers Request headers, as { name, value }
+ * @returns {Array<Object>} headers without credentials, fit to be saved
+ */
+function session_headers(headers) {
+    return headers.filter((header) => SESSION_CREDENTIAL_HEADERS.indexOf(header.name.toLowerCase()) == -1);
+}
+
+/**
+ * @param {Array<Object>} headers Request headers, as { name, value }
+ * @returns {Array<Object>} Only the credentials among headers
+ */
+function session_credentials(headers) {
+    return headers.filter((header) => SESSION_CREDENTIAL_HEADERS.indexOf(header.name.toLowerCase()) != -1);
+}
+
+/**
+ * Save a value once all earlier writes are done.
+ *
+ * @param {string} key
+ * @param {function(): Promise<any>} produce Produces the value to be saved. It's
+ * called only once earlier writes are done, so it sees the latest state.
+ * @returns {Promise} Resolved once saved
+ */
+function session_save(key, produce) {
+    _SESSION_WRITES = _SESSION_WRITES.then(async () => {
+        await browser.storage.session.set({ [key]: await produce() });
+    }).catch((error) => console.warn(`Could not save ${key}`, error));
+    return _SESSION_WRITES;
+}
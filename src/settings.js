@@ -0,0 +1,135 @@
+// User-configurable settings, persisted in browser.storage.
+//
+// Settings are loaded fresh on every intercepted request, so changes made
+// on the options page apply without reloading the extension.
+//
+// Also loaded with require() by the command-line tools, for the defaults; see
+// scripttime.js.
+
+(function (exports, imports) {
+    const SETTINGS_KEY = 'settings';
+
+    // How subs in a language may be provided, where the dub has its own closed
+    // captions (CC/SDH) in that language:
+    // - "auto": as if it had none, i.e. the dub's own subs unless they're near-empty
+    // - "captions": the dub's captions, as they are
+    // - "captions_clean": the dub's captions, without speaker labels and sound cues
+    // - "subs": subs borrowed from another version and retimed
+    // - "merged": borrowed subs, merged with the dub's own signs and songs
+    // Captions timed to the dub, being a transcript of its audio, match what's heard
+    // far better than a translation made for the original.
+    const CAPTION_MODES = ['auto', 'captions', 'captions_clean', 'subs', 'merged'];
+
+    const SETTINGS_DEFAULTS = {
+        // Where to load subtitles from (i.e. the media version from which subs are loaded,
+        // NOT the language used within the subs), in order of preference.
+        //
+        // Entries are "original" (the version flagged as original in the API, if that
+        // flag looks sane), an audio locale like "ja-JP", or "any" (any other version
+        // which has subs in the dub's language).
+        'source_order': ['original', 'ja-JP', 'any'],
+
+        // A lot of content technically has subs in the dub's language, but they are
+        // near-empty; e.g. containing only text for an opening/closing song,
+        // translations of some Japanese signs in the video etc. Therefore we cannot
+        // simply replace subs only in the "no subs available" case, as we'd mostly
+        // see that subs are available while in reality they're mostly empty.
+        //
+        // Instead the dub's script is judged by how long its dialogue (events which
+        // aren't signs or songs) is on screen, compared to the dialogue of the
+        // script it would be replaced with: if it's less than this fraction as long,
+        // the dub's subs are replaced.
+        'dialogue_min_share': 0.5,
+
+        // Where there's no script to compare with, the dub's subs are replaced if
+        // their dialogue is on screen for less than this fraction of the video.
+        'dialogue_min_coverage': 0.15,
+
+        // When replacing near-empty dub subs, keep the dub's own events (usually signs
+        // and song lyrics made for the dub) and merge the borrowed dialogue into them,
+        // rather than discarding them.
+        'merge_signs': true,
+
+        // How to provide subs in each language (one of CAPTION_MODES), by default and
+        // by language. In the caption modes, languages without captions get borrowed
+        // subs as usual; in the "subs" and "merged" modes, borrowed subs replace the
+        // dub's own subs in that language, however complete they look. Captions are
+        // only used where chosen.
+        'caption_mode': 'auto',
+        'caption_modes': {},
+
+        // Two languages to offer stacked in an extra track, e.g. for learning a
+        // language: ['en-US', 'ja-JP'] adds an "en-US+ja-JP" track with en-US subs at
+        // the bottom and ja-JP subs at the top. Empty for no such track.
+        'dual_languages': [],
+
+        // Style overrides for borrowed subs' dialogue (signs and songs are left
+        // alone), by language, with "*" for all languages; e.g.
+        // { "*": { "scale": 1.2 }, "en-US": { "font": "Open Sans", "bottom_centre": true } }.
+        // See RESTYLE_OPTIONS for the overrides available.
+        'restyle': {},
+
+        // Max time adjustment (on top of duration adjustment) we're willing to make
+        // based on fuzzy script comparison.
+        //
+        // Since the comparison between two scripts can potentially go wrong, the idea
+        // here is that a too large value is probably incorrect and it'd be better to
+        // just go with duration-based adjustment in that case.
+        'script_max_adjust': 60000,
+
+        // Min confidence (0-1) in a script comparison for it to be used. Confidence
+        // grows with the share of matched lines agreeing with the result and with
+        // their number; below this, the duration-based adjustment is used instead.
+        // Adjustments from skip events are held to the same bar.
+        'script_min_confidence': 0.5,
+    };
+
+
+    /**
+     * @returns {Promise<Object>} Current settings, with defaults filled in for
+     * anything the user hasn't set.
+     */
+    async function settings_load() {
+        let stored = await browser.storage.local.get(SETTINGS_KEY);
+        let out = {};
+        Object.assign(out, SETTINGS_DEFAULTS, stored[SETTINGS_KEY]);
+        return out;
+    }
+
+    /**
+     * Persist some settings. Settings not present in 'changes' keep their
+     * current value.
+     * @param {Object} changes Settings to be updated
+     */
+    async function settings_save(changes) {
+        let stored = await browser.storage.local.get(SETTINGS_KEY);
+        let settings = {};
+        Object.assign(settings, stored[SETTINGS_KEY], changes);
+        await browser.storage.local.set({ [SETTINGS_KEY]: settings });
+    }
+
+    /**
+     * Discard all user settings, reverting to defaults.
+     */
+    async function settings_reset() {
+        await browser.storage.local.remove(SETTINGS_KEY);
+    }
+
+    /**
+     * Register a callback invoked with the new settings whenever they change.
+     * @param {function(Object)} callback
+     */
+    function settings_on_change(callback) {
+        browser.storage.onChanged.addListener((changes, area) => {
+            if (area == 'local' && changes.hasOwnProperty(SETTINGS_KEY)) {
+                settings_load().then(callback);
+            }
+        });
+    }
+
+
+    Object.assign(exports, {
+        SETTINGS_KEY, CAPTION_MODES, SETTINGS_DEFAULTS, settings_load, settings_save, settings_reset,
+        settings_on_change,
+    });
+})(...(typeof module == 'object') ? [module.exports, require] : [globalThis, () => globalThis]);
@@ -0,0 +1,164 @@
+// Crunchyroll's skip events: the times of each version's recap, intro, credits
+// and preview, as used by the player's "skip" buttons.
+//
+// Where both versions mark the same part, its edges are anchor points for
+// aligning them; where only one does (e.g. a recap added for the dub), the
+// part was inserted into that version.
+
+const SKIP_EVENT_TYPES = ['recap', 'intro', 'credits', 'preview'];
+
+// Max difference (ms) between the lengths of a part in either version for its
+// end to be used as well as its start. Dubs' credits often run longer, with
+// the dub's own cast and crew added.
+const SKIP_LENGTH_TOLERANCE = 1000;
+
+// Max difference (ms) between the offsets of anchors for them to be considered
+// part of the same contiguous region.
+const SKIP_SEGMENT_TOLERANCE = 1000;
+
+// Number of anchors at which a map from skip events is fully trusted; with
+// fewer, its confidence is their share of this. A single anchor (e.g. a part
+// whose length differs between versions) falls short of the default
+// script_min_confidence.
+const SKIP_FULL_SUPPORT = 4;
+
+// Max difference (ms) between the offsets suggested by skip events and by
+// script comparison for either to corroborate the other.
+const SKIP_AGREE_TOLERANCE = 1000;
+
+
+/**
+ * @param {string} guid GUID of a media object
+ * @returns {string} URL of its skip events
+ */
+function skip_events_url(guid) {
+    return `https://static.crunchyroll.com/skip-events/production/${guid}.json`;
+}
+
+/**
+ * @param {Object} raw Skip events as served, with times in seconds
+ * @returns {Object} The usable parts, by type, each as { start, end } in ms.
+ * Parts which are missing or have no sensible times are left out.
+ */
+function skip_events_parse(raw) {
+    let out = {};
+    SKIP_EVENT_TYPES.forEach((type) => {
+        let part = raw ? raw[type] : null;
+        if (!part || typeof part.start != 'number' || typeof part.end != 'number') {
+            return;
+        }
+        if (part.start < 0 || part.end <= part.start) {
+            return;
+        }
+        out[type] = { 'start': Math.round(part.start * MS_PER_SECOND), 'end': Math.round(part.end * MS_PER_SECOND) };
+    });
+    return out;
+}
+
+/**
+ * @param {Array<Object>} anchors Anchors as { type, time, alt_time }
+ * @returns {Array<Object>} anchors in order of alt_time, without any which
+ * would put times out of order.
+ */
+function skip_events_in_order(anchors) {
+    let sorted = anchors.slice().sort((a, b) => (a.alt_time - b.alt_time) || (a.time - b.time));
+    let out = [];
+    sorted.forEach((anchor) => {
+        let last = out[out.length - 1];
+        if (!last || anchor.time >= last.time) {
+            out.push(anchor);
+        }
+    });
+    return out;
+}
+
+/**
+ * Find points at which the two versions are known to line up.
+ *
+ * @param {Object} events Parts of the current version, from skip_events_parse
+ * @param {Object} alt_events Parts of the alternative version
+ * @returns {Array<Object>} Anchors in order, each as { type, time, alt_time }
+ * where 'time' (ms) in the current version shows what's at 'alt_time' in the
+ * alternative version.
+ */
+function skip_events_anchors(events, alt_events) {
+    let shared = [];
+    SKIP_EVENT_TYPES.forEach((type) => {
+        let part = events[type];
+        let alt = alt_events[type];
+        if (!part || !alt) {
+            return;
+        }
+        shared.push({ 'type': type, 'time': part.start, 'alt_time': alt.start });
+        if (Math.abs((part.end - part.start) - (alt.end - alt.start)) <= SKIP_LENGTH_TOLERANCE) {
+            shared.push({ 'type': type, 'time': part.end, 'alt_time': alt.end });
+        }
+    });
+    shared = skip_events_in_order(shared);
+
+    // Both edges of a part only one version has correspond to a single point
+    // in the other, placed by whatever both versions share next.
+    let out = shared.slice();
+    SKIP_EVENT_TYPES.forEach((type) => {
+        let part = events[type];
+        let alt = alt_events[type];
+        if (!part == !alt) {
+            return;
+        }
+        let next = part
+            ? shared.find((anchor) => anchor.time >= part.end)
+            : shared.find((anchor) => anchor.alt_time >= alt.end);
+        if (!next) {
+            return;
+        }
+        let offset = next.time - next.alt_time;
+        if (part) {
+            let point = part.end - offset;
+            out.push({ 'type': type, 'time': part.start, 'alt_time': point });
+            out.push({ 'type': type, 'time': part.end, 'alt_time': point });
+        } else {
+            let point = alt.end + offset;
+            out.push({ 'type': type, 'time': point, 'alt_time': alt.start });
+            out.push({ 'type': type, 'time': point, 'alt_time': alt.end });
+        }
+    });
+    return skip_events_in_order(out);
+}
+
+/**
+ * Work out the timing difference between two versions from their skip events.
+ *
+ * @param {Object} events Parts of the current version, from skip_events_parse
+ * @param {Object} alt_events Parts of the alternative version
+ * @returns {TimingMap|null} Map of alternative version times onto the current
+ * version, whose 'reference' lists the parts used, whose 'support' is the
+ * number of anchors and whose 'confidence' grows with it; or null if the
+ * versions have nothing to anchor them.
+ */
+function skip_events_timing_map(events, alt_events) {
+    let anchors = skip_events_anchors(events, alt_events);
+    if (!anchors.length) {
+        return null;
+    }
+
+    let regions = [];
+    anchors.forEach((anchor) => {
+        let offset = anchor.time - anchor.alt_time;
+        let last = regions[regions.length - 1];
+        if (last && Math.abs(offset - last.offsets[0]) <= SKIP_SEGMENT_TOLERANCE) {
+            last.end = anchor.alt_time;
+            last.offsets.push(offset);
+        } else {
+            regions.push({ 'start': anchor.alt_time, 'end': anchor.alt_time, 'offsets': [offset] });
+        }
+    });
+
+    let out = new TimingMap(regions.map((region) => {
+        let total = region.offsets.reduce((sum, offset) => sum + offset, 0);
+        return { 'start': region.start, 'end': region.end, 'offset': Math.round(total / region.offsets.length) };
+    }));
+    out.support = anchors.length;
+    out.confidence = Math.min(1, anchors.length / SKIP_FULL_SUPPORT);
+    out.reference = SKIP_EVENT_TYPES.filter((type) => anchors.some((anchor) => anchor.type == type)).join(', ');
+    return out;
+}
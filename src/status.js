@@ -0,0 +1,243 @@
+// Per-tab record of what was done for the episode playing in each tab,
+// shown in the toolbar popup and summarized in the toolbar badge.
+
+const STATUS_KEY = 'status';
+
+
+/**
+ * What happened while intercepting one episode.
+ */
+class EpisodeStatus {
+    static _BY_TAB = new Map();
+    static _RESTORED = null;
+
+    /**
+     * Restore statuses saved before the background page was last suspended.
+     * Only the first call does anything; statuses recorded since startup win
+     * over saved ones.
+     *
+     * @returns {Promise} Resolved once restored
+     */
+    static restored() {
+        if (!EpisodeStatus._RESTORED) {
+            EpisodeStatus._RESTORED = session_load(STATUS_KEY).then((saved) => {
+                Object.values(saved || {}).forEach((obj) => {
+                    if (!EpisodeStatus._BY_TAB.has(obj.tab_id)) {
+                        EpisodeStatus._BY_TAB.set(obj.tab_id, EpisodeStatus.from_object(obj));
+                    }
+                });
+            }).catch((error) => console.warn("Could not restore episode status", error));
+        }
+        return EpisodeStatus._RESTORED;
+    }
+
+    /**
+     * Save all statuses, so they survive the background page being suspended.
+     */
+    static save_all() {
+        session_save(STATUS_KEY, async () => {
+            await EpisodeStatus.restored();
+            let out = {};
+            EpisodeStatus._BY_TAB.forEach((status, tab_id) => {
+                out[tab_id] = status.as_object();
+            });
+            return out;
+        });
+    }
+
+    /**
+     * @param {Object} obj A status as returned by as_object()
+     * @returns {EpisodeStatus}
+     */
+    static from_object(obj) {
+        return Object.assign(new EpisodeStatus(obj.tab_id, obj.guid), obj);
+    }
+
+    /**
+     * Start recording for a newly loaded episode, discarding anything
+     * recorded for whatever the tab was playing before.
+     *
+     * @param {number} tab_id ID of tab playing the episode
+     * @param {string|null} guid GUID of the episode, if known
+     * @returns {EpisodeStatus}
+     */
+    static start(tab_id, guid) {
+        let out = new EpisodeStatus(tab_id, guid);
+        if (tab_id >= 0) {
+            EpisodeStatus._BY_TAB.set(tab_id, out);
+        }
+        out.update_badge();
+        out.save();
+        return out;
+    }
+
+    /**
+     * @param {number} tab_id
+     * @returns {EpisodeStatus|undefined} Status of the episode last loaded in a tab
+     */
+    static for_tab(tab_id) {
+        return EpisodeStatus._BY_TAB.get(tab_id);
+    }
+
+    static forget_tab(tab_id) {
+        EpisodeStatus.restored().then(() => {
+            EpisodeStatus._BY_TAB.delete(tab_id);
+            EpisodeStatus.save_all();
+        });
+    }
+
+    /**
+     * Listener for messages from the popup.
+     */
+    static listener(message) {
+        if (message.type == 'status') {
+            return EpisodeStatus.restored().then(() => {
+                let status = EpisodeStatus.for_tab(message.tab_id);
+                return status ? status.as_object() : null;
+            });
+        }
+    }
+
+    constructor(tab_id, guid) {
+        this.tab_id = tab_id;
+        this.guid = guid;
+        this.frame_id = 0;
+        this.series_id = null;
+        this.season_id = null;
+        this.time = Date.now();
+        this.dub_lang = null;
+        this.alt_guid = null;
+        this.alt_lang = null;
+        this.source_via = null;
+        // Whether timing and durations came from the cache.
+        this.cached = false;
+        this.copied = [];
+        // Languages where the dub's own captions are used as subs.
+        this.captions = [];
+        // Languages of all subs offered to the player, once known.
+        this.langs = [];
+        this.replace = null;
+        this.adjustments = {};
+        // Offset (ms) most recently applied to a script, the base for nudges.
+        this.applied_offset = null;
+        this.errors = [];
+        this.warnings = [];
+    }
+
+    /**
+     * @param {PlayResponse} source /play response of the version subs are loaded from
+     * @param {string} via Which 'source_order' entry selected the source
+     */
+    set_source(source, via) {
+        this.alt_guid = source.guid();
+        this.alt_lang = source.audio_lang();
+        this.source_via = via;
+        this.save();
+    }
+
+    /**
+     * @param {Object} decision Decision on replacing the dub's own subs, from
+     * PlayResponse.should_replace_dub_sub
+     */
+    set_replace(decision) {
+        this.replace = decision;
+        this.save();
+    }
+
+    /**
+     * @param {Array<string>} langs Languages added or replaced
+     */
+    set_copied(langs) {
+        this.copied = langs.slice();
+        this.update_badge();
+        this.save();
+    }
+
+    /**
+     * @param {Array<string>} langs Languages where the dub's own captions are used
+     */
+    set_captions(langs) {
+        this.captions = langs.slice();
+        this.save();
+    }
+
+    /**
+     * @param {Array<string>} langs Languages of all subs offered to the player
+     */
+    set_langs(langs) {
+        this.langs = langs.slice().sort();
+        this.save();
+    }
+
+    /**
+     * @param {string} lang Language of rewritten script
+     * @param {TimingMap} map Adjustment applied
+     * @param {string} how How the adjustment was calculated
+     */
+    add_adjustment(lang, map, how) {
+        this.applied_offset = map.offsets()[0];
+        this.adjustments[lang] = {
+            'description': map.describe(),
+            'method': map.method(),
+            'how': how,
+            'support': map.support,
+            'confidence': map.confidence,
+        };
+        this.save();
+    }
+
+    /**
+     * @param {string} what What was being done when the error happened
+     * @param {Error|string} error
+     */
+    add_error(what, error) {
+        this.errors.push(`${what}: ${error}`);
+        this.update_badge();
+        this.save();
+    }
+
+    /**
+     * @param {string} warning Something that looks wrong, though it isn't an error
+     */
+    add_warning(warning) {
+        this.warnings.push(warning);
+        this.save();
+    }
+
+    /**
+     * Save this status (with all others), e.g. after fields were set directly.
+     */
+    save() {
+        if (this.tab_id >= 0) {
+            EpisodeStatus.save_all();
+        }
+    }
+
+    update_badge() {
+        if (this.tab_id < 0) {
+            return;
+        }
+        var text = '';
+        var color = '#0a84ff';
+        if (this.errors.length) {
+            text = '!';
+            color = '#d70022';
+        } else if (this.copied.length) {
+            text = String(this.copied.length);
+        }
+        browser.action.setBadgeText({ 'tabId': this.tab_id, 'text': text }).catch(() => { });
+        browser.action.setBadgeBackgroundColor({ 'tabId': this.tab_id, 'color': color }).catch(() => { });
+    }
+
+    /**
+     * @returns {Object} A copy of this status, suitable for sending to the popup
+     */
+    as_object() {
+        return JSON.parse(JSON.stringify(this));
+    }
+}
+
+
+EpisodeStatus.restored();
+browser.runtime.onMessage.addListener(EpisodeStatus.listener);
+browser.tabs.onRemoved.addListener(EpisodeStatus.forget_tab);
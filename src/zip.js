@@ -0,0 +1,118 @@
+// Minimal writer of ZIP archives, enough to bundle exported subtitles.
+//
+// Files are stored uncompressed; scripts are small, and this avoids needing
+// an implementation of deflate.
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL = 0x06054b50;
+const ZIP_VERSION = 20;
+// General purpose flag marking file names as UTF-8.
+const ZIP_FLAG_UTF8 = 0x0800;
+
+var _ZIP_CRC_TABLE = null;
+
+
+/**
+ * @param {Uint8Array} data
+ * @returns {number} CRC-32 of data
+ */
+function zip_crc32(data) {
+    if (!_ZIP_CRC_TABLE) {
+        _ZIP_CRC_TABLE = new Uint32Array(256);
+        for (var n = 0; n < 256; ++n) {
+            var c = n;
+            for (var k = 0; k < 8; ++k) {
+                c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            _ZIP_CRC_TABLE[n] = c >>> 0;
+        }
+    }
+    var crc = 0xffffffff;
+    for (var i = 0; i < data.length; ++i) {
+        crc = _ZIP_CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @param {Date} date
+ * @returns {Object} date in MS-DOS format, as { time, date }
+ */
+function zip_dos_time(date) {
+    return {
+        'time': (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        'date': ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/**
+ * @param {Array<Object>} files Files to archive, as { name, data } where data
+ * is a string (stored as UTF-8). Names must be unique.
+ * @returns {Uint8Array} A ZIP archive of the files
+ */
+function zip_create(files) {
+    let encoder = new TextEncoder();
+    let stamp = zip_dos_time(new Date());
+    let entries = files.map((file) => {
+        let data = encoder.encode(file.data);
+        return { 'name': encoder.encode(file.name), 'data': data, 'crc': zip_crc32(data), 'offset': 0 };
+    });
+
+    let size = 22;
+    entries.forEach((entry) => {
+        size += 30 + entry.name.length + entry.data.length + 46 + entry.name.length;
+    });
+    let out = new Uint8Array(size);
+    let view = new DataView(out.buffer);
+    var pos = 0;
+    let u16 = (value) => { view.setUint16(pos, value, true); pos += 2; };
+    let u32 = (value) => { view.setUint32(pos, value, true); pos += 4; };
+    let bytes = (value) => { out.set(value, pos); pos += value.length; };
+    // Fields common to local and central headers, from "version needed" to name length.
+    let common = (entry) => {
+        u16(ZIP_VERSION);
+        u16(ZIP_FLAG_UTF8);
+        u16(0);
+        u16(stamp.time);
+        u16(stamp.date);
+        u32(entry.crc);
+        u32(entry.data.length);
+        u32(entry.data.length);
+        u16(entry.name.length);
+    };
+
+    entries.forEach((entry) => {
+        entry.offset = pos;
+        u32(ZIP_LOCAL_HEADER);
+        common(entry);
+        u16(0);
+        bytes(entry.name);
+        bytes(entry.data);
+    });
+
+    let central = pos;
+    entries.forEach((entry) => {
+        u32(ZIP_CENTRAL_HEADER);
+        u16(ZIP_VERSION);
+        common(entry);
+        u16(0);
+        u16(0);
+        u16(0);
+        u16(0);
+        u32(0);
+        u32(entry.offset);
+        bytes(entry.name);
+    });
+
+    let central_size = pos - central;
+    u32(ZIP_END_OF_CENTRAL);
+    u16(0);
+    u16(0);
+    u16(entries.length);
+    u16(entries.length);
+    u32(central_size);
+    u32(central);
+    u16(0);
+    return out;
+}
@@ -0,0 +1,244 @@
+// Tests of the script comparison behind retiming: matching lines, grouping
+// them into segments and fitting drift.
+
+const assert = require('node:assert');
+const { after, before, test } = require('node:test');
+const { Background, FixtureServer, fixture } = require('./harness');
+
+var server;
+
+before(async () => {
+    server = await new FixtureServer().start();
+});
+
+after(() => server.stop());
+
+
+/**
+ * @param {Array<Array<number>>} times Times (ms) of matched lines, each as
+ * [time in the target script, time in the source script]
+ * @returns {Array<Array<Object>>} Pairs of lines as from script_match_pairs
+ */
+function pairs(times) {
+    return times.map(([time1, time2]) => [{ 'time': time1 }, { 'time': time2 }]);
+}
+
+/**
+ * @param {number} i
+ * @returns {string} A line of made-up dialogue, different for every i and
+ * unlike those for any other i
+ */
+function sentence(i) {
+    var seed = i + 1;
+    let out = [];
+    for (var k = 0; k < 24; ++k) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        out.push('abcdefghijklmnopqrstuvwxyz '[(seed >> 16) % 27]);
+    }
+    return out.join('');
+}
+
+/**
+ * @param {Array<Array>} lines Start time (ms) and text of each line, each
+ * shown for 2 s
+ * @returns {string} A script in SSA/ASS format
+ */
+function ass(lines) {
+    let time = (ms) => {
+        let cs = Math.round(ms / 10);
+        let pad = (n) => String(n).padStart(2, '0');
+        return `${Math.floor(cs / 360000)}:${pad(Math.floor(cs / 6000) % 60)}:${pad(Math.floor(cs / 100) % 60)}.${pad(cs % 100)}`;
+    };
+    return [
+        '[Script Info]',
+        'ScriptType: v4.00+',
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        ...lines.map(([ms, text]) => `Dialogue: 0,${time(ms)},${time(ms + 2000)},Default,,0,0,0,,${text}`),
+        '',
+    ].join('\n');
+}
+
+/**
+ * @param {string} script A script in SSA/ASS format
+ * @returns {Array<string>} Start time and text of each Dialogue line
+ */
+function starts(script) {
+    return script.split('\n').filter((line) => line.startsWith('Dialogue:')).map((line) => {
+        let fields = line.split(',');
+        return `${fields[1]} ${fields.slice(9).join(',')}`;
+    });
+}
+
+/**
+ * @param {Background} bg
+ * @param {Array<Array<number>>} times As for pairs()
+ * @returns {Array<Object>} Segments from script_segments, as { start, end, offset, support }
+ */
+function segments(bg, times) {
+    return JSON.parse(JSON.stringify(bg.eval(`script_segments(${JSON.stringify(pairs(times))})`)));
+}
+
+
+test('a couple of coincidental matches among many agreeing ones are outvoted', () => {
+    let bg = new Background(server);
+    let times = [];
+    for (var i = 0; i < 50; ++i) {
+        times.push([i * 20000 + 5000, i * 20000]);
+    }
+    // Two lines in a row matching others 2 minutes away.
+    times.splice(25, 0, [610000, 490000], [615000, 495000]);
+    assert.deepStrictEqual(segments(bg, times), [{ 'start': 0, 'end': 980000, 'offset': 5000, 'support': 50 }]);
+});
+
+test('material inserted into the dub splits the offset into two segments', () => {
+    let bg = new Background(server);
+    let times = [];
+    for (var i = 0; i < 40; ++i) {
+        // A 60 s recap inserted 5 minutes in.
+        times.push([i * 20000 + ((i * 20000 >= 300000) ? 60000 : 0), i * 20000]);
+    }
+    assert.deepStrictEqual(segments(bg, times), [
+        { 'start': 0, 'end': 280000, 'offset': 0, 'support': 15 },
+        { 'start': 300000, 'end': 780000, 'offset': 60000, 'support': 25 },
+    ]);
+});
+
+test('lines of material cut from the dub are dropped', () => {
+    let bg = new Background(server);
+    let alt = [];
+    let dub = [];
+    for (var i = 0; i < 40; ++i) {
+        let time = i * 20000;
+        alt.push([time, sentence(i)]);
+        // 60 s cut from the dub, from 6:40 to 7:40.
+        if (time < 400000) {
+            dub.push([time, sentence(i)]);
+        } else if (time >= 460000) {
+            dub.push([time - 60000, sentence(i)]);
+        }
+    }
+    let map = bg.eval(`script_timing_map(${JSON.stringify(ass(dub))}, ${JSON.stringify(ass(alt))})`);
+    assert.strictEqual(map.describe(), '2 segments (0:00:00.00: 0ms, 0:07:40.00: -60000ms)');
+    assert.strictEqual(map.support, 37);
+
+    let out = bg.eval(`script_retime_text(${JSON.stringify(ass(alt))}, script_timing_map(`
+        + `${JSON.stringify(ass(dub))}, ${JSON.stringify(ass(alt))}))`);
+    assert.strictEqual(out.dropped, 3);
+    assert.deepStrictEqual(starts(out.script), starts(ass(dub)));
+});
+
+test('a dub running at a slightly different speed is retimed with a scale', () => {
+    let bg = new Background(server);
+    let alt = [];
+    let dub = [];
+    for (var i = 0; i < 40; ++i) {
+        alt.push([i * 20000, sentence(i)]);
+        // 24 fps played at 23.976 fps, plus a 2 s bumper.
+        dub.push([Math.round(i * 20000 * 1.001) + 2000, sentence(i)]);
+    }
+    let fit = bg.eval(`script_fit_drift(script_match_pairs(${JSON.stringify(ass(dub))}, ${JSON.stringify(ass(alt))}))`);
+    assert.strictEqual(fit.support, 40);
+    assert.ok(Math.abs(fit.scale - 1.001) < 0.00002, fit.scale);
+    assert.ok(Math.abs(fit.offset - 2000) <= 10, fit.offset);
+
+    let map = bg.eval(`script_timing_map(${JSON.stringify(ass(dub))}, ${JSON.stringify(ass(alt))})`);
+    assert.strictEqual(map.method(), 'offset+scale');
+    let out = bg.eval(`script_retime_text(${JSON.stringify(ass(alt))}, script_timing_map(`
+        + `${JSON.stringify(ass(dub))}, ${JSON.stringify(ass(alt))}))`);
+    // Ends are scaled as well as starts.
+    let last = out.script.split('\n').filter((line) => line.startsWith('Dialogue:')).pop();
+    assert.strictEqual(last.split(',').slice(1, 3).join(' '), '0:13:02.78 0:13:04.78');
+});
+
+test('drift too slight to matter, or too great to be real, is not fitted', () => {
+    let bg = new Background(server);
+    let fit = (scale) => {
+        let times = [];
+        for (var i = 0; i < 40; ++i) {
+            times.push([Math.round(i * 20000 * scale) + 2000, i * 20000]);
+        }
+        return bg.eval(`script_fit_drift(${JSON.stringify(pairs(times))})`);
+    };
+    assert.notStrictEqual(fit(1.001), null);
+    // Under 500 ms over the whole 13 minutes.
+    assert.strictEqual(fit(1.0005), null);
+    assert.strictEqual(fit(1.1), null);
+    // Too few lines to go on.
+    assert.strictEqual(bg.eval(`script_fit_drift(${JSON.stringify(pairs([[2000, 0], [602600, 600000]]))})`), null);
+});
+
+test('all unique matches vote on the offset, and confidence reflects their agreement', () => {
+    let bg = new Background(server);
+    let alt = [];
+    let dub = [];
+    for (var i = 0; i < 30; ++i) {
+        alt.push([i * 20000 + 10000, sentence(i)]);
+        dub.push([i * 20000 + 15000, sentence(i)]);
+    }
+    // A catchphrase said twice in the dub isn't matched at all...
+    alt.push([100, 'Previously on the show']);
+    dub.push([100, 'Previously on the show'], [400000, 'Previously on the show']);
+    // ...and a line matching one said far away is outvoted.
+    alt.push([700000, sentence(100)]);
+    dub.push([1000, sentence(100)]);
+
+    let map = bg.eval(`script_timing_map(${JSON.stringify(ass(dub))}, ${JSON.stringify(ass(alt))})`);
+    assert.strictEqual(map.describe(), '5000ms');
+    assert.strictEqual(map.support, 30);
+    assert.strictEqual(map.confidence, 30 / 31);
+
+    assert.strictEqual(bg.eval('script_confidence(3, 3)'), 0.6);
+    assert.strictEqual(bg.eval('script_confidence(10, 20)'), 0.5);
+    assert.strictEqual(bg.eval('script_confidence(0, 0)'), 0);
+});
+
+test('the duration decides when no comparison is confident enough', async () => {
+    let bg = new Background(server, { 'local': { 'settings': { 'script_min_confidence': 2 } }, 'session': {} });
+    let play = await bg.play('GENDUB01');
+    await bg.script(play.subtitles['es-ES'].url, fixture('ja-es-ES.ass'));
+    assert.strictEqual(bg.eval('EpisodeStatus.for_tab(1)').adjustments['es-ES'].how, 'duration');
+});
+
+test('dialogue in any script is normalized for matching', () => {
+    let bg = new Background(server);
+    let normalize = (text) => bg.eval(`script_normalize(${JSON.stringify(text)})`);
+    assert.strictEqual(normalize('{\\i1}...Leaving only my footprints behind.{\\i0}'), 'leavingonlymyfootprintsbehind');
+    assert.strictEqual(normalize('Où étais-tu\\Nhier soir ?'), 'oùétaistuhiersoir');
+    assert.strictEqual(normalize('「どこにいたの？」'), 'どこにいたの');
+    assert.strictEqual(normalize('ＡＢＣ１２３'), 'abc123');
+    assert.strictEqual(normalize('Где ты была?'), 'гдетыбыла');
+    assert.strictEqual(normalize('أين كنت؟'), 'أينكنت');
+    assert.strictEqual(normalize('你去哪儿了？'), '你去哪儿了');
+    // CJK characters count double towards the length needed for matching.
+    assert.strictEqual(bg.eval(`script_text_weight('どこにいた')`), 10);
+    assert.strictEqual(bg.eval(`script_text_weight('where')`), 5);
+});
+
+test('scripts without Latin text are matched, fuzzily where lines differ slightly', () => {
+    let bg = new Background(server);
+    let kana = Array.from('あいうえおかきくけこさしすせそたちつてとなにぬねのはひふへほまみむめもやゆよらりるれろわ');
+    let line = (i) => Array.from({ 'length': 8 }, (x, k) => kana[(i * 7 + k * k * 3 + k) % kana.length]).join('');
+    let alt = [];
+    let dub = [];
+    for (var i = 0; i < 20; ++i) {
+        alt.push([i * 30000, line(i)]);
+        // Every other line differs by a character and punctuation.
+        dub.push([i * 30000 + 3000, (i % 2) ? `${line(i)}ね！` : line(i)]);
+    }
+    let map = bg.eval(`script_timing_map(${JSON.stringify(ass(dub))}, ${JSON.stringify(ass(alt))})`);
+    assert.strictEqual(map.describe(), '3000ms');
+    assert.strictEqual(map.support, 20);
+});
+
+test('lines are compared fuzzily with those up to 5 minutes away', () => {
+    let bg = new Background(server);
+    let line = (text, ms) => ({ 'text': bg.eval(`script_normalize(${JSON.stringify(text)})`), 'time': ms, 'end': ms + 2000 });
+    let matched = (ms) => bg.eval(`script_fuzzy_pairs(${JSON.stringify([line('I waited for you in the park', 0)])}, `
+        + `${JSON.stringify([line('I waited for you at the park', ms)])})`).length == 1;
+    assert.ok(matched(4.9 * 60000));
+    assert.ok(matched(-4.9 * 60000));
+    assert.ok(!matched(5.1 * 60000));
+    assert.ok(!matched(-5.1 * 60000));
+});
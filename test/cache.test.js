@@ -0,0 +1,47 @@
+// Tests of the persistent cache of what was worked out for each episode.
+
+const assert = require('node:assert');
+const { after, before, test } = require('node:test');
+const { Background, FixtureServer } = require('./harness');
+
+var server;
+
+before(async () => {
+    server = await new FixtureServer().start();
+});
+
+after(() => server.stop());
+
+
+test('entries are stored apart, and the oldest evicted once the cache is too big', async () => {
+    let bg = new Background(server, { 'local': { 'cache': { 'old': { 'time': 0, 'value': 1 } } }, 'session': {} });
+    let max = bg.eval('CACHE_MAX_BYTES');
+    // Three fit, as JSON.
+    let big = 'x'.repeat(Math.floor(max / 3) - 2);
+    for (const key of ['a', 'b', 'c']) {
+        await bg.eval(`cache_put('${key}', ${JSON.stringify(big)})`);
+    }
+    assert.deepStrictEqual(Object.keys(bg.storage.local).sort(), ['cache/a', 'cache/b', 'cache/c', 'cache_index']);
+    assert.strictEqual(await bg.eval(`cache_get('b')`), big);
+
+    await bg.eval(`cache_put('d', ${JSON.stringify(big)})`);
+    assert.strictEqual(await bg.eval(`cache_get('a')`), null);
+    assert.ok(!bg.storage.local.hasOwnProperty('cache/a'));
+    let size = await bg.eval('cache_size()');
+    assert.strictEqual(size.entries, 3);
+    assert.ok(size.bytes <= max);
+});
+
+test('a failure to clear the cache doesn\'t hold up later writes', async () => {
+    let bg = new Background(server);
+    await bg.eval(`cache_put('a', 1)`);
+    let remove = bg.browser.storage.local.remove;
+    bg.browser.storage.local.remove = async () => { throw new Error("Storage is broken"); };
+    await bg.eval('cache_clear()');
+    bg.browser.storage.local.remove = remove;
+
+    await bg.eval(`cache_put('b', 2)`);
+    assert.strictEqual(await bg.eval(`cache_get('b')`), 2);
+    await bg.eval('cache_clear()');
+    assert.deepStrictEqual(Object.keys(bg.storage.local), []);
+});
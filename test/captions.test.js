@@ -0,0 +1,117 @@
+// Tests of using a dub's own closed captions, as chosen per language.
+
+const assert = require('node:assert');
+const { after, before, test } = require('node:test');
+const { Background, FixtureServer, fixture } = require('./harness');
+
+var server;
+
+before(async () => {
+    server = await new FixtureServer().start();
+});
+
+after(() => server.stop());
+
+
+/**
+ * @param {Object} settings Settings to use, on top of the defaults
+ * @returns {Background} Background scripts with those settings stored
+ */
+function with_settings(settings) {
+    return new Background(server, { 'local': { 'settings': settings }, 'session': {} });
+}
+
+
+test('speaker labels and sound cues are removed from captions', () => {
+    let bg = new Background(server);
+    let clean = (text) => bg.eval(`captions_clean(${JSON.stringify(text)})`);
+
+    let vtt = clean(fixture('dub-cc-en-US.vtt'));
+    assert.strictEqual(vtt.removed, 1);
+    assert.strictEqual(vtt.script, [
+        'WEBVTT', '',
+        '00:00:17.000 --> 00:00:20.500', "Where'd you go last night?", '',
+        '00:00:26.000 --> 00:00:29.500', '- I waited at the park.', '- Sorry!', '',
+        '00:00:35.000 --> 00:00:38.500', '<i>♪ The rain kept falling ♪</i>', '',
+    ].join('\n'));
+
+    let ass = clean([
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        'Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,{\\an8}NARRATOR: Long ago...\\N[thunder]',
+        'Dialogue: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,(laughing)',
+        'Dialogue: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,Look: it works.',
+    ].join('\n'));
+    assert.strictEqual(ass.removed, 1);
+    assert.match(ass.script, /,,\{\\an8\}Long ago\.\.\.\n/);
+    assert.match(ass.script, /,,Look: it works\.$/);
+});
+
+test('arguments of ASS override tags are kept when sound cues are removed', () => {
+    let bg = new Background(server);
+    let ass = bg.eval(`captions_clean(${JSON.stringify([
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        'Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,{\\pos(320,50)}MIO: [sighs] Fine.',
+        'Dialogue: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,Wait {\\move(1,2,3,4)\\clip(0,0,9,9)}(gasps) up!',
+        'Dialogue: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,{\\pos(1,2)}[door slams]',
+        '',
+    ].join('\n'))})`);
+    assert.strictEqual(ass.removed, 1);
+    assert.deepStrictEqual(ass.script.split('\n').slice(2), [
+        'Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,{\\pos(320,50)}Fine.',
+        'Dialogue: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,Wait {\\move(1,2,3,4)\\clip(0,0,9,9)} up!',
+        '',
+    ]);
+});
+
+test('captions are left unused unless chosen', async () => {
+    let bg = new Background(server);
+    let play = await bg.play('GCCDUB01');
+
+    let status = bg.eval('EpisodeStatus.for_tab(1)');
+    assert.deepStrictEqual([...status.captions], []);
+    assert.strictEqual(bg.eval(`new PlayResponse({}, { 'caption_mode': 'bogus' }).caption_mode('en-US')`), 'auto');
+    assert.ok(!play.subtitles['en-US'].url.includes('cc-en-US'));
+});
+
+test("the dub's own captions are used where chosen, and languages without them borrowed", async () => {
+    let bg = with_settings({ 'caption_mode': 'captions' });
+    let play = await bg.play('GCCDUB01');
+
+    assert.match(play.subtitles['en-US'].url, /GCCDUB01\/cc-en-US\.vtt/);
+    assert.match(play.subtitles['es-ES'].url, /GJAPAN01/);
+    let status = bg.eval('EpisodeStatus.for_tab(1)');
+    assert.deepStrictEqual([...status.captions], ['en-US']);
+    assert.deepStrictEqual([...status.copied], ['es-ES']);
+    // Captions as they are needn't be rewritten.
+    assert.strictEqual(await bg.script(play.subtitles['en-US'].url, fixture('dub-cc-en-US.vtt')), null);
+});
+
+test('captions are cleaned up where chosen', async () => {
+    let bg = with_settings({ 'caption_modes': { 'en-US': 'captions_clean' } });
+    let play = await bg.play('GCCDUB01');
+
+    let en = await bg.script(play.subtitles['en-US'].url, fixture('dub-cc-en-US.vtt'));
+    assert.ok(!en.includes('HARUTO'));
+    assert.ok(!en.includes('[train brakes screeching]'));
+    assert.ok(en.includes("Where'd you go last night?"));
+});
+
+test('borrowed subs replace captions and complete subs where chosen', async () => {
+    let bg = with_settings({ 'caption_mode': 'subs', 'caption_modes': { 'en-US': 'merged' } });
+    let play = await bg.play('GCCDUB01');
+
+    assert.match(play.subtitles['en-US'].url, /GJAPAN01/);
+    // The dub's de-DE subs are complete, but borrowed subs were chosen.
+    assert.match(play.subtitles['de-DE'].url, /GJAPAN01/);
+    let status = bg.eval('EpisodeStatus.for_tab(1)');
+    assert.deepStrictEqual([...status.captions], []);
+    assert.deepStrictEqual([...status.copied], ['de-DE', 'en-US', 'es-ES']);
+
+    let en = await bg.script(play.subtitles['en-US'].url, fixture('ja-en-US.ass'));
+    assert.ok(en.includes('Kyoto Station'));
+    assert.ok(en.includes('0:00:17.00,0:00:20.50,Default,,0,0,0,,Where were you last night?'));
+    let de = await bg.script(play.subtitles['de-DE'].url, fixture('ja-de-DE.ass'));
+    assert.ok(de.includes('0:00:17.00'));
+});
@@ -0,0 +1,72 @@
+// Tests of the command-line retiming tool.
+
+const assert = require('node:assert');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+
+const CLI = path.join(__dirname, '..', 'cli', 'crsod-retime.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+
+/**
+ * @param {...string} args Arguments, with fixture names given as "@name"
+ * @returns {Object} Result of running the tool, as from spawnSync
+ */
+function retime(...args) {
+    args = args.map((arg) => arg.startsWith('@') ? path.join(FIXTURES, arg.slice(1)) : arg);
+    return spawnSync(process.execPath, [CLI, ...args], { 'encoding': 'utf8', 'timeout': 30000 });
+}
+
+/**
+ * @param {string} script
+ * @returns {Array<string>} Start times of the script's dialogue events
+ */
+function starts(script) {
+    return script.split('\n').filter((line) => line.startsWith('Dialogue:')).map((line) => line.split(',')[1]);
+}
+
+
+test('offset from comparing references is applied to input', () => {
+    let result = retime('--reference', '@dub-de-DE.ass', '--reference-alt', '@ja-de-DE.ass', '--input', '@ja-es-ES.ass');
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stderr, /suggests 5000ms \(offset\), supported by \d+ lines, confidence 1\.00/);
+    assert.strictEqual(starts(result.stdout)[0], '0:00:17.00');
+});
+
+test('json diagnostics report the chosen reference', () => {
+    let result = retime('--reference', '@dub-de-DE.ass', '--reference-alt', '@ja-de-DE.ass',
+        '--reference', '@dub-de-DE.ass', '--reference-alt', '@ja-es-ES.ass', '--input', '@ja-es-ES.ass', '--json');
+    assert.strictEqual(result.status, 0, result.stderr);
+    let diagnostics = JSON.parse(result.stdout);
+    assert.strictEqual(diagnostics.chosen, path.join(FIXTURES, 'dub-de-DE.ass'));
+    assert.deepStrictEqual(diagnostics.references.map((ref) => ref.trusted), [true, false]);
+    assert.strictEqual(diagnostics.adjustment.segments[0].offset, 5000);
+});
+
+test('fails without a trustworthy comparison unless given an offset', () => {
+    let result = retime('--reference', '@dub-de-DE.ass', '--reference-alt', '@ja-es-ES.ass', '--input', '@ja-es-ES.ass');
+    assert.strictEqual(result.status, 2);
+    assert.strictEqual(result.stdout, '');
+
+    result = retime('--offset=-2000', '--input', '@ja-es-ES.ass');
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(starts(result.stdout)[0], '0:00:10.00');
+});
+
+test('mismatched reference pairs are rejected', () => {
+    let result = retime('--reference', '@dub-de-DE.ass', '--input', '@ja-es-ES.ass');
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /matching --reference-alt/);
+});
+
+test('script modules load with require(), outside the browser', () => {
+    const { script_parse, script_timing_map } = require('../src/scriptutils.js');
+    const { script_merge } = require('../src/scriptmerge.js');
+    let read = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+    assert.strictEqual(script_parse('WEBVTT\n\n00:01.000 --> 00:02.000\nHi\n').constructor.name, 'VttScript');
+    assert.strictEqual(script_timing_map(read('dub-de-DE.ass'), read('ja-de-DE.ass')).describe(), '5000ms');
+    assert.match(script_merge(read('dub-en-US.ass'), read('ja-en-US.ass')), /Where were you last night\?/);
+    assert.strictEqual(typeof globalThis.script_parse, 'undefined');
+});
@@ -0,0 +1,149 @@
+// Tests of tracks stacking subtitles in two languages.
+
+const assert = require('node:assert');
+const { after, before, test } = require('node:test');
+const { Background, FixtureServer, fixture } = require('./harness');
+
+var server;
+
+before(async () => {
+    server = await new FixtureServer().start();
+});
+
+after(() => server.stop());
+
+
+/**
+ * @param {string} script A script in SSA/ASS format
+ * @returns {Array<string>} Times, style and text of each Dialogue line
+ */
+function events(script) {
+    return script.split(/\r?\n/).filter((line) => line.startsWith('Dialogue:')).map((line) => {
+        let fields = line.substring('Dialogue:'.length).split(',');
+        return [fields[1], fields[2], fields[3], fields.slice(9).join(',')].join(' ');
+    });
+}
+
+
+test('lines the same in both languages are paired, others keep their times', () => {
+    let bg = new Background(server);
+    let bottom = [
+        '1', '00:00:01,000 --> 00:00:03,000', 'Where were you?', '',
+        '2', '00:00:04,000 --> 00:00:08,000', 'I waited for you at the park all evening.', '',
+        '3', '00:00:20,000 --> 00:00:21,000', 'Hey!', '',
+    ].join('\n');
+    let top = [
+        'WEBVTT', '',
+        '00:00:01.200 --> 00:00:03.100', 'どこにいたの？', '',
+        '00:00:04.000 --> 00:00:06.000', '公園で', '',
+        '00:00:06.000 --> 00:00:08.000', 'ずっと待ってた', '',
+        '00:00:10.000 --> 00:00:11.000', '♪', '',
+    ].join('\n');
+    let out = bg.eval(`script_dual(${JSON.stringify(bottom)}, ${JSON.stringify(top)})`);
+    assert.strictEqual(out.paired, 1);
+    assert.ok(out.script.includes('\nStyle: Top,'));
+    assert.deepStrictEqual(events(out.script), [
+        '0:00:01.00 0:00:03.00 Default Where were you?',
+        '0:00:01.00 0:00:03.00 Top どこにいたの？',
+        '0:00:04.00 0:00:08.00 Default I waited for you at the park all evening.',
+        '0:00:04.00 0:00:06.00 Top 公園で',
+        '0:00:06.00 0:00:08.00 Top ずっと待ってた',
+        '0:00:10.00 0:00:11.00 Top ♪',
+        '0:00:20.00 0:00:21.00 Default Hey!',
+    ]);
+    assert.strictEqual(bg.eval(`script_dual('not a script', ${JSON.stringify(top)})`), null);
+});
+
+test('a bottom language script in SSA/ASS format keeps its own styles and events', () => {
+    let bg = new Background(server);
+    let bottom = [
+        '[Script Info]',
+        'PlayResX: 1920',
+        'PlayResY: 1080',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, Alignment, MarginV',
+        'Style: Default,Open Sans,60,&H00FFFFFF,2,50',
+        'Style: Sign,Arial,48,&H00FFFFFF,8,50',
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        'Dialogue: 0,0:00:01.00,0:00:03.00,Default,,0,0,0,,Where were you?',
+        'Dialogue: 0,0:00:01.00,0:00:05.00,Sign,,0,0,0,,{\\pos(960,100)}Kyoto Station',
+        '',
+    ].join('\n');
+    let top = 'WEBVTT\n\n00:00:01.200 --> 00:00:03.100\nどこにいたの？\n';
+    let out = bg.eval(`script_dual(${JSON.stringify(bottom)}, ${JSON.stringify(top)})`);
+    assert.strictEqual(out.paired, 1);
+    let lines = out.script.split('\n');
+    // The top style is scaled from 360 lines to the script's 1080.
+    assert.deepStrictEqual(lines.filter((line) => line.startsWith('Style:')), [
+        'Style: Default,Open Sans,60,&H00FFFFFF,2,50',
+        'Style: Sign,Arial,48,&H00FFFFFF,8,50',
+        'Style: Top,Arial,54,&H0000FFFF,8,45',
+    ]);
+    assert.deepStrictEqual(events(out.script), [
+        '0:00:01.00 0:00:03.00 Default Where were you?',
+        '0:00:01.00 0:00:05.00 Sign {\\pos(960,100)}Kyoto Station',
+        '0:00:01.00 0:00:03.00 Top どこにいたの？',
+    ]);
+    assert.strictEqual(bg.eval(`script_dual(${JSON.stringify(bottom)}, null)`).script, bottom);
+});
+
+test('a stacked track of a borrowed and a dub\'s own language is offered and generated', async () => {
+    let bg = new Background(server, { 'local': { 'settings': { 'dual_languages': ['es-ES', 'de-DE'] } }, 'session': {} });
+    let play = await bg.play('GENDUB01');
+
+    let track = play.subtitles['es-ES+de-DE'];
+    assert.strictEqual(track.format, 'ass');
+    // The track borrows the URL of the dub's en-US script, which borrowed subs replaced.
+    assert.strictEqual(track.url, 'https://v.vrv.co/evs3/GENDUB01/en-US.ass?Expires=4102444800&Signature=fixture');
+    let others = Object.keys(play.subtitles).filter((lang) => lang != 'es-ES+de-DE');
+    assert.ok(others.every((lang) => play.subtitles[lang].url != track.url));
+    assert.ok(bg.eval('EpisodeStatus.for_tab(1)').copied.includes('es-ES+de-DE'));
+
+    // The borrowed es-ES lines are retimed for the dub, as they would be on their own.
+    let stacked = events(await bg.script(track.url, fixture('dub-en-US.ass')));
+    assert.strictEqual(stacked[0], '0:00:17.00 0:00:20.50 Default ¿Dónde estuviste anoche?');
+    assert.ok(stacked.includes('0:00:17.00 0:00:20.50 Top Wo bist du gestern Abend gewesen?'));
+});
+
+test('the bottom language is shown alone if the top one can\'t be loaded', async () => {
+    let bg = new Background(server, { 'local': { 'settings': { 'dual_languages': ['es-ES', 'de-DE'] } }, 'session': {} });
+    let play = await bg.play('GENDUB01');
+    let url = play.subtitles['es-ES+de-DE'].url;
+    bg.eval(`ScriptInterceptor._CONTEXTS.get('1/0').get(${JSON.stringify(url)}).ctx.dual.tracks[1].url = `
+        + `'https://v.vrv.co/evs3/GENDUB01/xx-XX.ass'`);
+
+    let stacked = events(await bg.script(url, fixture('dub-en-US.ass')));
+    assert.strictEqual(stacked[0], '0:00:17.00 0:00:20.50 Default ¿Dónde estuviste anoche?');
+    assert.ok(!stacked.some((line) => line.includes(' Top ')));
+    assert.match(bg.eval('EpisodeStatus.for_tab(1)').warnings.join('\n'), /showing es-ES alone/);
+});
+
+test('no stacked track is offered unless both languages are available', async () => {
+    let bg = new Background(server, { 'local': { 'settings': { 'dual_languages': ['es-ES', 'fr-FR'] } }, 'session': {} });
+    let play = await bg.play('GENDUB01');
+    assert.deepStrictEqual(Object.keys(play.subtitles).sort(), ['de-DE', 'en-US', 'es-ES']);
+    assert.match(bg.eval('EpisodeStatus.for_tab(1)').warnings.join('\n'), /no es-ES \+ fr-FR track: .* no fr-FR subtitles/);
+});
+
+test('the user is told when no URL is left for a stacked track', async () => {
+    let bg = new Background(server, { 'local': { 'settings': { 'dual_languages': ['es-ES', 'de-DE'] } }, 'session': {} });
+    // The original offers all of its scripts, so none is spare.
+    let play = await bg.play('GJAPAN01');
+    assert.deepStrictEqual(Object.keys(play.subtitles).sort(), ['de-DE', 'en-US', 'es-ES']);
+    assert.match(bg.eval('EpisodeStatus.for_tab(1)').warnings.join('\n'),
+        /no es-ES \+ de-DE track: every subtitle URL of this episode is in use/);
+});
+
+test('lines are paired by time once in the same timing', () => {
+    let bg = new Background(server);
+    let line = (time, end) => ({ 'time': time, 'end': end });
+    let pairs = bg.eval(`script_time_pairs(${JSON.stringify([line(1000, 3000), line(4000, 8000), line(9000, 9500)])}, `
+        + `${JSON.stringify([line(1200, 3100), line(4000, 6000), line(6000, 8000), line(9400, 9600), line(9450, 9650)])})`);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(pairs)), [
+        [line(1000, 3000), line(1200, 3100)],
+        [line(9000, 9500), line(9400, 9600)],
+    ]);
+});
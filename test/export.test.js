@@ -0,0 +1,192 @@
+// Tests of exporting subtitles: format conversion, zip archives, and exports
+// going through the same pipeline as the player's requests.
+
+const assert = require('node:assert');
+const { resolveObjectURL } = require('node:buffer');
+const { after, before, test } = require('node:test');
+const zlib = require('node:zlib');
+const { Background, FakeTimers, FixtureServer } = require('./harness');
+
+var server;
+
+before(async () => {
+    server = await new FixtureServer().start();
+});
+
+after(() => server.stop());
+
+
+/**
+ * @param {Background} bg
+ * @param {Object} message A message from the popup
+ * @returns {Promise<any>} Response of whichever listener handles the message
+ */
+function send(bg, message) {
+    return bg.browser.runtime.onMessage.fire(message).find((response) => response !== undefined);
+}
+
+/**
+ * @param {Object} download Options passed to downloads.download()
+ * @returns {Promise<Buffer>} Contents of the download
+ */
+async function downloaded(download) {
+    return Buffer.from(await resolveObjectURL(download.url).arrayBuffer());
+}
+
+/**
+ * @param {Buffer} zip A ZIP archive with stored (uncompressed) files
+ * @returns {Object} Contents of each file, by name, checked against its CRC
+ */
+function unzip(zip) {
+    let end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    let count = zip.readUInt16LE(end + 10);
+    var pos = zip.readUInt32LE(end + 16);
+    let out = {};
+    for (var i = 0; i < count; ++i) {
+        assert.strictEqual(zip.readUInt32LE(pos), 0x02014b50);
+        let crc = zip.readUInt32LE(pos + 16);
+        let size = zip.readUInt32LE(pos + 20);
+        let name_length = zip.readUInt16LE(pos + 28);
+        let offset = zip.readUInt32LE(pos + 42);
+        let name = zip.subarray(pos + 46, pos + 46 + name_length).toString('utf8');
+        let start = offset + 30 + zip.readUInt16LE(offset + 26) + zip.readUInt16LE(offset + 28);
+        let data = zip.subarray(start, start + size);
+        assert.strictEqual(zlib.crc32(data), crc);
+        out[name] = data.toString('utf8');
+        pos += 46 + name_length;
+    }
+    return out;
+}
+
+/**
+ * @param {function(): boolean} condition
+ * @returns {Promise} Resolved once condition holds
+ */
+async function eventually(condition) {
+    for (var i = 0; i < 200 && !condition(); ++i) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.ok(condition(), "condition never held");
+}
+
+
+test('ASS scripts convert to SRT and WebVTT with markup removed', () => {
+    let bg = new Background(server);
+    let ass = [
+        '[V4+ Styles]',
+        'Format: Name, Alignment',
+        'Style: Default,2',
+        'Style: Sign,8',
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        'Dialogue: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,{\\i1}Second{\\i0}\\Nline <b>&',
+        'Dialogue: 0,0:00:01.00,0:00:02.50,Sign,,0,0,0,,Kyoto Station',
+        'Comment: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,Not shown',
+        'Dialogue: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,{\\p1}m 0 0 l 10 0 10 10{\\p0}',
+        '',
+    ].join('\n');
+    let convert = (format) => bg.eval(`script_convert(${JSON.stringify(ass)}, ${JSON.stringify(format)})`);
+
+    assert.strictEqual(convert('srt'), [
+        '1', '00:00:01,000 --> 00:00:02,500', '{\\an8}Kyoto Station', '',
+        '2', '00:00:05,000 --> 00:00:06,000', 'Second', 'line <b>&', '',
+    ].join('\n'));
+    assert.strictEqual(convert('vtt'), [
+        'WEBVTT', '',
+        '00:00:01.000 --> 00:00:02.500 line:0', 'Kyoto Station', '',
+        '00:00:05.000 --> 00:00:06.000', 'Second', 'line &lt;b&gt;&amp;', '',
+    ].join('\n'));
+    assert.strictEqual(convert('ass'), ass);
+
+    let back = bg.eval(`script_convert(script_convert(${JSON.stringify(ass)}, 'srt'), 'ass')`);
+    assert.ok(back.includes('Dialogue: 0,0:00:01.00,0:00:02.50,Default,,0,0,0,,{\\an8}Kyoto Station'));
+    // SRT has no way of escaping tag-like text, so it's read back as markup.
+    assert.ok(back.includes('Dialogue: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,Second\\Nline &'));
+});
+
+test('zip archives hold files intact', () => {
+    let bg = new Background(server);
+    let files = [{ 'name': 'a.ass', 'data': 'one' }, { 'name': 'Dónde.srt', 'data': '¿Dónde?\n' }];
+    let zip = Buffer.from(bg.eval(`zip_create(${JSON.stringify(files)})`));
+    assert.deepStrictEqual(unzip(zip), { 'a.ass': 'one', 'Dónde.srt': '¿Dónde?\n' });
+});
+
+test('an episode exports as the player would show it', async () => {
+    let bg = new Background(server);
+    await bg.play('GENDUB01');
+
+    let result = await send(bg, { 'type': 'export_episode', 'tab_id': 1, 'lang': 'es-ES', 'format': 'srt' });
+    assert.deepStrictEqual([...result.files], ['Fixture Series - S01E01 - The Tournament Begins.es-ES.srt']);
+    assert.strictEqual(bg.downloads.length, 1);
+    assert.strictEqual(bg.downloads[0].filename, result.files[0]);
+    let srt = (await downloaded(bg.downloads[0])).toString('utf8');
+    assert.ok(srt.startsWith('1\n00:00:17,000 --> 00:00:20,500\n¿Dónde estuviste anoche?\n'));
+});
+
+test('an episode export gives up once out of time', async () => {
+    let timers = new FakeTimers();
+    let bg = new Background(server, undefined, timers);
+    await bg.play('GENDUB01');
+
+    let held = server.hold('www.crunchyroll.com/content/v2/cms/objects/GENDUB01');
+    let result = send(bg, { 'type': 'export_episode', 'tab_id': 1, 'lang': 'es-ES', 'format': 'srt' });
+    await held.arrived;
+    timers.advance(bg.eval('EXPORT_EPISODE_TIME_BUDGET'));
+    await assert.rejects(result, /^Error: Gave up after 30000ms$/);
+    held.release();
+    assert.strictEqual(bg.downloads.length, 0);
+});
+
+test('a season exports as a zip, leaving out episodes which fail', async () => {
+    let bg = new Background(server);
+    await bg.play('GENDUB01');
+    await eventually(() => bg.eval('EpisodeStatus.for_tab(1)').season_id !== null);
+
+    let result = await send(bg, { 'type': 'export_season', 'tab_id': 1, 'lang': 'es-ES', 'format': 'ass' });
+    assert.deepStrictEqual([...result.files], ['Fixture Series - S01E01 - The Tournament Begins.es-ES.ass']);
+    assert.strictEqual(result.failed.length, 1);
+    assert.match(result.failed[0], /^GENDUB02: HTTP 404/);
+
+    assert.strictEqual(bg.downloads[0].filename, 'Fixture Series - S01.es-ES.zip');
+    let files = unzip(await downloaded(bg.downloads[0]));
+    assert.match(files[result.files[0]], /^Dialogue: 0,0:00:17\.00,0:00:20\.50,Default,,0,0,0,,¿Dónde estuviste anoche\?/m);
+    // Exports don't change what's shown for the tab.
+    assert.deepStrictEqual(Object.keys(bg.eval('EpisodeStatus.for_tab(1)').adjustments), []);
+});
+
+test('exports reuse what was cached and release the playback sessions they open', async () => {
+    let bg = new Background(server);
+    await bg.play('GENDUB01');
+    await eventually(() => bg.storage.local.hasOwnProperty('cache/GENDUB01/GJAPAN01/en-US'));
+    await eventually(() => server.requests.includes('cr-play-service.prd.crunchyrollsvc.com/v1/token/GJAPAN01/fixture-token'));
+
+    let before = server.requests.length;
+    await send(bg, { 'type': 'export_episode', 'tab_id': 1, 'lang': 'es-ES', 'format': 'srt' });
+    await eventually(() => server.requests.slice(before).includes('cr-play-service.prd.crunchyrollsvc.com/v1/token/GENDUB01/fixture-token'));
+    let requests = server.requests.slice(before).filter((request) => !request.startsWith('v.vrv.co/'));
+    assert.deepStrictEqual(requests.sort(), [
+        'cr-play-service.prd.crunchyrollsvc.com/v1/GENDUB01/web/firefox/play',
+        'cr-play-service.prd.crunchyrollsvc.com/v1/token/GENDUB01/fixture-token',
+        'www.crunchyroll.com/content/v2/cms/objects/GENDUB01',
+    ]);
+});
+
+test('credentials are kept out of storage, so exports need them again after suspension', async () => {
+    let bg = new Background(server);
+    await bg.play('GENDUB01');
+    await eventually(() => (bg.storage.session.export_requests || {}).hasOwnProperty('1'));
+    assert.ok(!JSON.stringify(bg.storage.session).includes('Bearer'));
+
+    let woken = new Background(server, bg.storage);
+    await assert.rejects(send(woken, { 'type': 'export_episode', 'tab_id': 1, 'lang': 'es-ES', 'format': 'srt' }),
+        /reload the episode/);
+    // Any request of the tab's to Crunchyroll brings them back.
+    woken.browser.webRequest.onBeforeSendHeaders.fire({
+        'tabId': 1,
+        'url': 'https://www.crunchyroll.com/content/v2/cms/objects/GENDUB01',
+        'requestHeaders': [{ 'name': 'Authorization', 'value': 'Bearer fresh' }],
+    });
+    let result = await send(woken, { 'type': 'export_episode', 'tab_id': 1, 'lang': 'es-ES', 'format': 'srt' });
+    assert.strictEqual(result.files.length, 1);
+});
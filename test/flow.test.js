@@ -0,0 +1,262 @@
+// End-to-end tests: a dub's /play response is intercepted, scripts are
+// registered, then rewritten when the player loads them.
+
+const assert = require('node:assert');
+const { after, before, test } = require('node:test');
+const { Background, FixtureServer, fixture } = require('./harness');
+
+var server;
+
+before(async () => {
+    server = await new FixtureServer().start();
+});
+
+after(() => server.stop());
+
+
+/**
+ * @param {string} script A script in SSA/ASS format
+ * @returns {Array<Array<string>>} Start time and text of each Dialogue line
+ */
+function dialogue(script) {
+    return script.split(/\r?\n/).filter((line) => line.startsWith('Dialogue:')).map((line) => {
+        let fields = line.substring('Dialogue:'.length).split(',');
+        return [fields[1], fields.slice(9).join(',')];
+    });
+}
+
+/**
+ * @param {function(): boolean} condition
+ * @returns {Promise} Resolved once condition holds
+ */
+async function eventually(condition) {
+    for (var i = 0; i < 200 && !condition(); ++i) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.ok(condition(), "condition never held");
+}
+
+/**
+ * @param {Background} bg
+ * @returns {boolean} true once script comparisons for the fixture episode are cached
+ */
+function comparisons_cached(bg) {
+    return ['de-DE', 'en-US'].every((lang) => bg.storage.local.hasOwnProperty(`cache/GENDUB01/GJAPAN01/${lang}`));
+}
+
+
+test('missing and near-empty subs are loaded from the original and retimed', async () => {
+    let bg = new Background(server);
+    let play = await bg.play('GENDUB01');
+
+    assert.deepStrictEqual(Object.keys(play.subtitles).sort(), ['de-DE', 'en-US', 'es-ES']);
+    assert.match(play.subtitles['en-US'].url, /GJAPAN01/);
+    assert.match(play.subtitles['es-ES'].url, /GJAPAN01/);
+    assert.match(play.subtitles['de-DE'].url, /GENDUB01/);
+    let status = bg.eval('EpisodeStatus.for_tab(1)');
+    assert.deepStrictEqual([...status.copied], ['en-US', 'es-ES']);
+    assert.strictEqual(status.alt_guid, 'GJAPAN01');
+    // The dub's en-US script has nothing but two signs.
+    assert.strictEqual(status.replace.label, 'signs');
+    assert.deepStrictEqual({ ...status.replace.stats }, { 'events': 2, 'dialogue': 0, 'dialogue_ms': 0 });
+
+    // The dub has a 5 s bumper; its de-DE script, present in both versions, shows that.
+    let es = await bg.script(play.subtitles['es-ES'].url, fixture('ja-es-ES.ass'));
+    assert.deepStrictEqual(dialogue(es)[0], ['0:00:17.00', '¿Dónde estuviste anoche?']);
+    assert.strictEqual(status.adjustments['es-ES'].how, 'script comparison (de-DE), corroborated by skip events (intro, credits)');
+    assert.strictEqual(status.adjustments['es-ES'].description, '5000ms');
+
+    // The dub's own signs are kept, alongside the borrowed dialogue.
+    let en = await bg.script(play.subtitles['en-US'].url, fixture('ja-en-US.ass'));
+    let lines = dialogue(en);
+    assert.ok(lines.some(([start, text]) => start == '0:00:07.00' && text.endsWith('Kyoto Station')));
+    assert.ok(lines.some(([start, text]) => start == '0:00:17.00' && text == 'Where were you last night?'));
+});
+
+test("the original's signs and songs aren't borrowed when merging", () => {
+    let bg = new Background(server);
+    let alt = fixture('ja-en-US.ass').replace(/\n*$/, '\n')
+        + 'Dialogue: 0,0:00:02.00,0:00:06.00,Sign,,0,0,0,,{\\pos(960,100)}Tokyo Tower\n'
+        + 'Dialogue: 0,0:01:58.00,0:02:02.00,Default,,0,0,0,,{\\k20}La {\\k30}la {\\k40}la\n';
+    let merged = bg.eval(`script_merge(${JSON.stringify(fixture('dub-en-US.ass'))}, ${JSON.stringify(alt)})`);
+    let lines = dialogue(merged);
+    assert.ok(lines.some(([start, text]) => text.endsWith('Kyoto Station')));
+    assert.ok(lines.some(([start, text]) => text == 'Where were you last night?'));
+    assert.ok(!lines.some(([start, text]) => text.includes('Tokyo Tower')));
+    assert.ok(!lines.some(([start, text]) => text.includes('La ')));
+});
+
+test('a version flagged original with fewer subtitle languages than the dub is passed over', async () => {
+    let bg = new Background(server);
+    // GFRDUB01, flagged original, is really another dub: it only has fr-FR subs.
+    let response = (guid) => `new PlayResponse(${fixture(`play-${guid}.json`)}, SETTINGS_DEFAULTS)`;
+    let candidates = bg.eval(`${response('GFLAGD01')}.source_candidates()`);
+    assert.deepStrictEqual([...candidates].map((c) => `${c.guid} ${c.via}`), ['GFRDUB01 original', 'GJAPAN01 ja-JP']);
+    assert.strictEqual(bg.eval(`${response('GFLAGD01')}.original_source_ok(${response('GFRDUB01')})`), false);
+    assert.strictEqual(bg.eval(`${response('GFLAGD01')}.original_source_ok(${response('GJAPAN01')})`), true);
+
+    let play = await bg.play('GFLAGD01');
+    assert.ok(server.requests.includes('cr-play-service.prd.crunchyrollsvc.com/v1/GFRDUB01/web/firefox/play'));
+    let status = bg.eval('EpisodeStatus.for_tab(1)');
+    assert.strictEqual(status.alt_guid, 'GJAPAN01');
+    assert.strictEqual(status.source_via, 'ja-JP');
+    assert.match(play.subtitles['es-ES'].url, /GJAPAN01/);
+});
+
+test('dub subs are judged by how much dialogue they have', async () => {
+    let bg = new Background(server);
+    let ass = [
+        '[V4+ Styles]',
+        'Format: Name, Alignment',
+        'Style: Default,2',
+        'Style: OP_Romaji,8',
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        'Dialogue: 0,0:00:01.00,0:00:04.00,Default,,0,0,0,,Where were you?',
+        'Dialogue: 0,0:00:03.00,0:00:05.00,Default,,0,0,0,,{\\i1}Out.{\\i0}',
+        'Dialogue: 0,0:00:06.00,0:00:08.00,OP_Romaji,,0,0,0,,{\\k20}Sora {\\k30}ni',
+        'Dialogue: 0,0:00:06.00,0:00:08.00,Default,,0,0,0,,{\\pos(320,40)}Kyoto Station',
+        'Dialogue: 0,0:00:09.00,0:00:10.00,Default,,0,0,0,,{\\p1}m 0 0 l 10 0 10 10{\\p0}',
+        'Comment: 0,0:00:09.00,0:00:20.00,Default,,0,0,0,,Not shown',
+        '',
+    ].join('\n');
+    // Overlapping lines count once, from 1 s to 5 s.
+    assert.deepStrictEqual({ ...bg.eval(`script_dialogue_stats(${JSON.stringify(ass)})`) },
+        { 'events': 5, 'dialogue': 2, 'dialogue_ms': 4000 });
+    let vtt = 'WEBVTT\n\n00:01.000 --> 00:02.000\n♪ Sora ni ♪\n\n00:03.000 --> 00:05.500\n<i>Out.</i>\n';
+    assert.deepStrictEqual({ ...bg.eval(`script_dialogue_stats(${JSON.stringify(vtt)})`) },
+        { 'events': 2, 'dialogue': 1, 'dialogue_ms': 2500 });
+
+    let media = bg.eval(`new PlayResponse(${fixture('play-GENDUB01.json')}, SETTINGS_DEFAULTS)`);
+    let judge = async (dub, alt, duration) => {
+        let decision = await media.should_replace_dub_sub(
+            Promise.resolve(dub), Promise.resolve(alt), Promise.resolve(duration), 'GJAPAN01');
+        return [decision.replace, decision.label];
+    };
+    let stats = (dialogue_ms) => ({ 'events': 300, 'dialogue': 290, 'dialogue_ms': dialogue_ms });
+    assert.deepStrictEqual(await judge(null, stats(600000), 1440000), [true, 'missing']);
+    assert.deepStrictEqual(await judge({ 'events': 0, 'dialogue': 0, 'dialogue_ms': 0 }, null, null), [true, 'empty']);
+    // Compared with the borrowed script's dialogue, whatever the video's length.
+    assert.deepStrictEqual(await judge(stats(200000), stats(600000), 1440000), [true, 'sparse']);
+    assert.deepStrictEqual(await judge(stats(400000), stats(600000), 1440000), [false, 'dialogue']);
+    assert.deepStrictEqual(await judge(stats(100000), stats(120000), 3000000), [false, 'dialogue']);
+    // Failing that, with the video's length.
+    assert.deepStrictEqual(await judge(stats(100000), null, 1440000), [true, 'sparse']);
+    assert.deepStrictEqual(await judge(stats(100000), null, 180000), [false, 'dialogue']);
+    assert.deepStrictEqual(await judge(stats(100000), null, null), [false, 'dialogue']);
+});
+
+test('lines are only compared fuzzily with lines nearby', () => {
+    let bg = new Background(server);
+    let line = (text, minutes) => ({ 'text': text, 'time': minutes * 60000, 'end': minutes * 60000 + 2000 });
+    let pairs = (lines1, lines2) => Array.from(
+        bg.eval(`script_fuzzy_pairs(${JSON.stringify(lines1)}, ${JSON.stringify(lines2)})`),
+        ([a, b]) => [a.text, b.text]);
+    let lines1 = [line('i waited for you in the park', 1), line('the weather was truly awful', 20)];
+    assert.deepStrictEqual(pairs(lines1, [line('i waited for you at the park', 1.5), line('the weather was truly awful!', 2)]),
+        [['i waited for you in the park', 'i waited for you at the park']]);
+    // A line nearly the same as one far away is no longer ambiguous.
+    assert.deepStrictEqual(pairs(lines1, [line('i waited for you in the park!', 1), line('i waited for you in the park.', 12)]),
+        [['i waited for you in the park', 'i waited for you in the park!']]);
+});
+
+test("only adjustments worked out from the episode are recorded for its season", async () => {
+    let bg = new Background(server);
+    let play = await bg.play('GENDUB01');
+    await bg.script(play.subtitles['es-ES'].url, fixture('ja-es-ES.ass'));
+    await bg.eval('_PROFILE_WRITES');
+    assert.strictEqual(bg.storage.local.profiles['GSERIES1/GSEASON1'].episodes['GENDUB01'].offset, 5000);
+
+    let manual = new Background(server, { 'local': { 'overrides': { 'episode': { 'GENDUB01': 3000 } } }, 'session': {} });
+    play = await manual.play('GENDUB01');
+    let es = await manual.script(play.subtitles['es-ES'].url, fixture('ja-es-ES.ass'));
+    assert.deepStrictEqual(dialogue(es)[0], ['0:00:15.00', '¿Dónde estuviste anoche?']);
+    await manual.eval('_PROFILE_WRITES');
+    assert.strictEqual(manual.storage.local.profiles, undefined);
+});
+
+test("an override has the player fetch its subtitles again, rewritten with the new timing", async () => {
+    let bg = new Background(server);
+    let play = await bg.play('GENDUB01');
+    let url = play.subtitles['es-ES'].url;
+    await bg.eval(`override_change(1, 'episode', () => 3000)`);
+
+    let [tab_id, message, options] = bg.messages[bg.messages.length - 1];
+    assert.deepStrictEqual([tab_id, message.type, options.frameId], [1, 'refetch_subtitles', 0]);
+    assert.ok(message.urls.includes(url));
+    // The fake tab has no player to answer.
+    assert.match(bg.eval('EpisodeStatus.for_tab(1)').warnings.join('\n'), /couldn't be fetched again/);
+
+    let es = await bg.script(url, fixture('ja-es-ES.ass'));
+    assert.deepStrictEqual(dialogue(es)[0], ['0:00:15.00', '¿Dónde estuviste anoche?']);
+});
+
+test("an episode's offset is compared with its season's in the middle of the episode", () => {
+    let bg = new Background(server);
+    // 5 s of bumper, then 20 s more cut from the dub 10 minutes in.
+    let offset = bg.eval(`ScriptInterceptor.prototype.midpoint_offset(
+        new TimingMap([{ 'start': 0, 'end': 600000, 'offset': 5000 },
+            { 'start': 620000, 'end': 1440000, 'offset': -15000 }]), 1440000)`);
+    assert.strictEqual(offset, -15000);
+    assert.strictEqual(bg.eval('ScriptInterceptor.prototype.midpoint_offset(TimingMap.constant(5000), null)'), 5000);
+});
+
+test('scripts are only rewritten for the tab which loaded the episode', async () => {
+    let bg = new Background(server);
+    let play = await bg.play('GENDUB01', { 'tabId': 3 });
+    let url = play.subtitles['es-ES'].url;
+
+    assert.strictEqual(await bg.script(url, fixture('ja-es-ES.ass'), { 'tabId': 4 }), null);
+    assert.strictEqual(await bg.script(play.subtitles['de-DE'].url, fixture('dub-de-DE.ass'), { 'tabId': 3 }), null);
+    assert.notStrictEqual(await bg.script(url, fixture('ja-es-ES.ass'), { 'tabId': 3 }), null);
+
+    bg.browser.tabs.onRemoved.fire(3);
+    await bg.eval('ScriptInterceptor.restored()');
+    assert.strictEqual(await bg.script(url, fixture('ja-es-ES.ass'), { 'tabId': 3 }), null);
+});
+
+test("scripts of an episode are forgotten once the page's URL moves on to another", async () => {
+    let bg = new Background(server);
+    let play = await bg.play('GENDUB01', { 'tabId': 3 });
+    let url = play.subtitles['es-ES'].url;
+    let navigate = async (path) => {
+        bg.browser.webNavigation.onHistoryStateUpdated.fire(
+            { 'tabId': 3, 'frameId': 0, 'url': `https://www.crunchyroll.com${path}` });
+        await bg.eval('ScriptInterceptor.restored()');
+    };
+
+    // The player may load the next episode before the URL changes to it.
+    await navigate('/watch/GENDUB01/the-dub');
+    assert.notStrictEqual(await bg.script(url, fixture('ja-es-ES.ass'), { 'tabId': 3 }), null);
+    await navigate('/watch/GENDUB02/the-next-one');
+    assert.strictEqual(await bg.script(url, fixture('ja-es-ES.ass'), { 'tabId': 3 }), null);
+});
+
+test('an episode seen before needs no requests beyond its scripts', async () => {
+    let bg = new Background(server);
+    await bg.play('GENDUB01');
+    await eventually(() => comparisons_cached(bg));
+
+    let again = new Background(server, { 'local': bg.storage.local, 'session': {} });
+    let before = server.requests.length;
+    let play = await again.play('GENDUB01');
+    assert.deepStrictEqual(server.requests.slice(before), []);
+
+    let es = await again.script(play.subtitles['es-ES'].url, fixture('ja-es-ES.ass'));
+    assert.deepStrictEqual(dialogue(es)[0], ['0:00:17.00', '¿Dónde estuviste anoche?']);
+    assert.deepStrictEqual(server.requests.slice(before), []);
+    assert.ok(again.eval('EpisodeStatus.for_tab(1)').cached);
+    assert.strictEqual(again.eval('EpisodeStatus.for_tab(1)').replace.label, 'signs');
+});
+
+test('registered scripts survive the background page being suspended', async () => {
+    let bg = new Background(server);
+    let play = await bg.play('GENDUB01');
+    await eventually(() => (bg.storage.session.contexts || {}).hasOwnProperty('1/0'));
+    assert.ok(!JSON.stringify(bg.storage.session.contexts).includes('Bearer'));
+
+    let woken = new Background(server, bg.storage);
+    let es = await woken.script(play.subtitles['es-ES'].url, fixture('ja-es-ES.ass'));
+    assert.deepStrictEqual(dialogue(es)[0], ['0:00:17.00', '¿Dónde estuviste anoche?']);
+});
@@ -0,0 +1,187 @@
+// Tests of parsing, serializing and retiming scripts in each supported
+// format: SSA/ASS, WebVTT and SRT.
+
+const assert = require('node:assert');
+const { after, before, test } = require('node:test');
+const { Background, FixtureServer, fixture } = require('./harness');
+
+var server;
+
+before(async () => {
+    server = await new FixtureServer().start();
+});
+
+after(() => server.stop());
+
+
+/**
+ * @param {Background} bg
+ * @param {string} text A script
+ * @param {number} offset Offset (ms) to retime it by
+ * @returns {Object} Result of script_retime_text, as { script, dropped }
+ */
+function retime(bg, text, offset) {
+    let out = bg.eval(`script_retime_text(${JSON.stringify(text)}, TimingMap.constant(${offset}))`);
+    return out && { 'script': out.script, 'dropped': out.dropped };
+}
+
+
+test('SSA/ASS scripts round-trip exactly, whatever their line endings', () => {
+    let bg = new Background(server);
+    let lf = fixture('ja-en-US.ass').replace(/\r\n/g, '\n');
+    let crlf = lf.replace(/\n/g, '\r\n');
+    [lf, crlf, `﻿${crlf}`, lf.replace(/\n*$/, '')].forEach((text) => {
+        assert.strictEqual(bg.eval(`new AssScript(${JSON.stringify(text)}).serialize()`), text);
+    });
+    // Retiming keeps the script's own line endings.
+    let out = retime(bg, lf, 1000).script;
+    assert.ok(!out.includes('\r'));
+    assert.strictEqual(out.split('\n').length, lf.split('\n').length);
+});
+
+test('SSA/ASS fields are found from the Format line, and comments are retimed too', () => {
+    let bg = new Background(server);
+    let ass = [
+        '[Script Info]',
+        'ScriptType: v4.00+',
+        '',
+        '[Events]',
+        'Format: Layer, Style, Name, Start, End, MarginL, MarginR, MarginV, Effect, Text',
+        'Comment: 0,Default,,0:00:01.00,0:00:02.00,0,0,0,,Translator note, with commas',
+        'Dialogue: 0,Default,Mio,0:59:59.50,1:00:01.00,0,0,0,,Well, well, well.',
+        '',
+    ].join('\n');
+    let script = `new AssScript(${JSON.stringify(ass)})`;
+    assert.strictEqual(bg.eval(`${script}.events().length`), 2);
+    assert.strictEqual(bg.eval(`${script}.dialogue().length`), 1);
+    assert.strictEqual(bg.eval(`${script}.dialogue()[0].text()`), 'Well, well, well.');
+
+    let out = retime(bg, ass, 500).script.split('\n');
+    assert.strictEqual(out[5], 'Comment: 0,Default,,0:00:01.50,0:00:02.50,0,0,0,,Translator note, with commas');
+    assert.strictEqual(out[6], 'Dialogue: 0,Default,Mio,1:00:00.00,1:00:01.50,0,0,0,,Well, well, well.');
+});
+
+test('SSA/ASS times are rendered exactly at hour and minute boundaries', () => {
+    let bg = new Background(server);
+    let render = (ms) => bg.eval(`script_render_time(${ms})`);
+    assert.strictEqual(render(3600000), '1:00:00.00');
+    assert.strictEqual(render(3599996), '1:00:00.00');
+    assert.strictEqual(render(3599994), '0:59:59.99');
+    assert.strictEqual(render(600000), '0:10:00.00');
+    assert.strictEqual(render(36000000), '10:00:00.00');
+    assert.strictEqual(render(-500), '0:00:00.00');
+    assert.strictEqual(bg.eval(`script_parse_time('1:00:00.00')`), 3600000);
+    assert.strictEqual(bg.eval(`script_parse_time('0:04:08.5')`), 248500);
+});
+
+test('events moved before 0:00 are clamped, or dropped if they end there', () => {
+    let bg = new Background(server);
+    let ass = [
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        'Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,Gone.',
+        'Dialogue: 0,0:00:03.00,0:00:08.00,Default,,0,0,0,,Cut short.',
+        'Dialogue: 0,0:00:10.00,0:00:12.00,Default,,0,0,0,,Moved.',
+        '',
+    ].join('\n');
+    let out = retime(bg, ass, -5000);
+    assert.strictEqual(out.dropped, 1);
+    assert.deepStrictEqual(out.script.split('\n').slice(2, 4), [
+        'Dialogue: 0,0:00:00.00,0:00:03.00,Default,,0,0,0,,Cut short.',
+        'Dialogue: 0,0:00:05.00,0:00:07.00,Default,,0,0,0,,Moved.',
+    ]);
+});
+
+test('WebVTT cues are retimed with their settings kept, and read without markup', () => {
+    let bg = new Background(server);
+    let vtt = [
+        'WEBVTT',
+        '',
+        'NOTE 00:00:01.000 --> 00:00:02.000 is not a cue',
+        '',
+        'intro',
+        '00:01.000 --> 00:03.500 align:start position:10%',
+        '<i>Where</i> are &amp; <v Mio>you</v>?',
+        '',
+        '00:59:59.000 --> 01:00:00.000',
+        'Here.',
+        '',
+    ].join('\n');
+    let script = `new VttScript(${JSON.stringify(vtt)})`;
+    assert.strictEqual(bg.eval(`${script}.serialize()`), vtt);
+    assert.strictEqual(bg.eval(`${script}.events().length`), 2);
+    assert.strictEqual(bg.eval(`${script}.events()[0].text()`), 'Where are & you?');
+    assert.strictEqual(bg.eval(`${script}.events()[0].start_ms()`), 1000);
+
+    let out = retime(bg, vtt, 1500);
+    assert.strictEqual(out.dropped, 0);
+    assert.strictEqual(out.script, vtt
+        .replace('00:01.000 --> 00:03.500', '00:00:02.500 --> 00:00:05.000')
+        .replace('00:59:59.000 --> 01:00:00.000', '01:00:00.500 --> 01:00:01.500'));
+});
+
+test('SRT cues are retimed with comma times and renumbered after drops', () => {
+    let bg = new Background(server);
+    let srt = [
+        '1',
+        '00:00:01,000 --> 00:00:02,000',
+        'Gone.',
+        '',
+        '2',
+        '00:00:04,250 --> 00:00:06,000',
+        '{\\an8}<i>Kept,</i> and moved.',
+        '',
+        '3',
+        '00:01:00,000 --> 00:01:02,000',
+        'Moved.',
+        '',
+    ].join('\r\n');
+    assert.strictEqual(bg.eval(`script_parse(${JSON.stringify(srt)}).constructor.name`), 'SrtScript');
+    assert.strictEqual(bg.eval(`new SrtScript(${JSON.stringify(srt)}).events()[1].text()`), 'Kept, and moved.');
+
+    let out = retime(bg, srt, -3000);
+    assert.strictEqual(out.dropped, 1);
+    assert.strictEqual(out.script, [
+        '1',
+        '00:00:01,250 --> 00:00:03,000',
+        '{\\an8}<i>Kept,</i> and moved.',
+        '',
+        '2',
+        '00:00:57,000 --> 00:00:59,000',
+        'Moved.',
+        '',
+    ].join('\r\n'));
+});
+
+test('SSA/ASS scripts are matched against WebVTT ones', () => {
+    let bg = new Background(server);
+    let lines = [
+        'Where did you leave the keys this time?',
+        'I told you, they were on the table.',
+        'Then somebody must have moved them.',
+        'Nobody else has been in the house all day.',
+        'What about the cat, has it been fed?',
+        'I fed it this morning before work.',
+        'We are going to be late for the train.',
+        'Not if we leave in the next five minutes.',
+    ];
+    let pad = (n, width) => String(n).padStart(width || 2, '0');
+    let time = (ms) => `${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+    let ass = [
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        ...lines.map((text, i) => `Dialogue: 0,0:00:${pad(10 + 5 * i)}.00,0:00:${pad(12 + 5 * i)}.00,Default,,0,0,0,,${text}`),
+        '',
+    ].join('\n');
+    let vtt = [
+        'WEBVTT',
+        '',
+        ...lines.map((text, i) => `${time(13000 + 5000 * i)} --> ${time(15000 + 5000 * i)}\n<i>${text}</i>\n`),
+    ].join('\n');
+
+    let map = bg.eval(`script_timing_map(${JSON.stringify(ass)}, ${JSON.stringify(vtt)})`);
+    assert.ok(map);
+    assert.strictEqual(bg.eval(`script_timing_map(${JSON.stringify(ass)}, ${JSON.stringify(vtt)}).describe()`),
+        bg.eval('TimingMap.constant(-3000).describe()'));
+    assert.strictEqual(map.support, lines.length);
+});
@@ -0,0 +1,449 @@
+// Offline test harness: runs the background scripts in a sandbox with a fake
+// `browser` global, fake response filters, and a local server standing in for
+// Crunchyroll's endpoints.
+
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+const MANIFEST = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+
+// Hosts the extension talks to, each served from its own path prefix on the
+// fixture server.
+const FIXTURE_HOSTS = [
+    'cr-play-service.prd.crunchyrollsvc.com', 'www.crunchyroll.com', 'static.crunchyroll.com', 'v.vrv.co',
+];
+
+
+/**
+ * Stand-in for the StreamFilter returned by webRequest.filterResponseData.
+ */
+class FakeStreamFilter {
+    constructor(request_id) {
+        this.request_id = request_id;
+        this.ondata = null;
+        this.onstop = null;
+        this.onerror = null;
+        this.error = '';
+        this.written = [];
+        this.disconnected = false;
+        this.done = new Promise((resolve) => { this._resolve = resolve; });
+    }
+
+    write(data) {
+        if (this.disconnected) {
+            throw new Error("Filter already disconnected");
+        }
+        this.written.push(Buffer.from(data instanceof ArrayBuffer ? new Uint8Array(data) : data));
+    }
+
+    disconnect() {
+        this.disconnected = true;
+        this._resolve(this);
+    }
+
+    /**
+     * Deliver a response to the filter, then signal its end.
+     * @param {Array<Buffer>} chunks Response body, as received in pieces
+     */
+    deliver(chunks) {
+        chunks.forEach((chunk) => {
+            // Each chunk gets its own ArrayBuffer, like real ondata events.
+            let data = new Uint8Array(chunk).buffer;
+            this.ondata({ 'data': data });
+        });
+        this.onstop({});
+    }
+
+    /**
+     * @param {string} error Error as reported by a real filter, e.g. "Channel redirected"
+     */
+    fail(error) {
+        this.error = error;
+        this.onerror({});
+    }
+
+    /**
+     * @returns {Buffer} Everything written to the filter
+     */
+    output() {
+        return Buffer.concat(this.written);
+    }
+}
+
+
+/**
+ * @param {Buffer|string} body
+ * @param {number} size
+ * @returns {Array<Buffer>} body split into chunks of (at most) size bytes,
+ * regardless of character boundaries.
+ */
+function split_chunks(body, size) {
+    let bytes = Buffer.from(body);
+    let out = [];
+    for (var i = 0; i < bytes.length; i += size) {
+        out.push(bytes.subarray(i, i + size));
+    }
+    return out;
+}
+
+/**
+ * @param {string} name File name within test/fixtures
+ * @returns {string} Contents of the fixture
+ */
+function fixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+
+/**
+ * Local server answering for /play, CMS objects, skip events and script assets
+ * from fixtures.
+ *
+ * Requests are logged, so tests can check which requests were made.
+ */
+class FixtureServer {
+    constructor() {
+        this.requests = [];
+        // Requests held back, by route, as { arrived, release, released }.
+        this._held = new Map();
+        this._server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    /**
+     * @returns {Promise<FixtureServer>} This server, once it's listening
+     */
+    start() {
+        return new Promise((resolve) => {
+            this._server.listen(0, '127.0.0.1', () => resolve(this));
+        });
+    }
+
+    stop() {
+        this._server.closeAllConnections();
+        return new Promise((resolve) => this._server.close(resolve));
+    }
+
+    /**
+     * @returns {string} Origin of this server
+     */
+    origin() {
+        return `http://127.0.0.1:${this._server.address().port}`;
+    }
+
+    /**
+     * @param {string} url A URL the extension would fetch
+     * @returns {string} The same URL on this server
+     */
+    rewrite(url) {
+        let parsed = new URL(url);
+        if (!FIXTURE_HOSTS.includes(parsed.host)) {
+            throw new Error(`Unexpected fetch from ${url}`);
+        }
+        return `${this.origin()}/${parsed.host}${parsed.pathname}${parsed.search}`;
+    }
+
+    /**
+     * Hold back the response to a request until released, e.g. so that it
+     * outlasts an interceptor's time budget.
+     *
+     * @param {string} request Request as logged in this.requests
+     * @returns {Object} As { arrived, release } where 'arrived' is a Promise
+     * resolved once the request arrives, and 'release' lets the response go.
+     */
+    hold(request) {
+        let held = {};
+        held.arrived = new Promise((resolve) => { held._arrive = resolve; });
+        held.released = new Promise((resolve) => { held.release = resolve; });
+        this._held.set(request, held);
+        return held;
+    }
+
+    handle(req, res) {
+        let url = new URL(req.url, this.origin());
+        let [, host, ...rest] = url.pathname.split('/');
+        let route = rest.join('/');
+        this.requests.push(`${host}/${route}`);
+        let held = this._held.get(`${host}/${route}`);
+        if (held) {
+            this._held.delete(`${host}/${route}`);
+            held._arrive();
+            held.released.then(() => this.handle_route(host, route, res));
+            return;
+        }
+        this.handle_route(host, route, res);
+    }
+
+    handle_route(host, route, res) {
+
+        var name = null;
+        var type = 'application/json';
+        var m;
+        if (host == 'cr-play-service.prd.crunchyrollsvc.com' && (m = route.match(/^v1\/(\w+)\/web\/firefox\/play$/))) {
+            name = `play-${m[1]}.json`;
+        } else if (host == 'www.crunchyroll.com' && (m = route.match(/^content\/v2\/cms\/objects\/(\w+)$/))) {
+            name = `cms-${m[1]}.json`;
+        } else if (host == 'www.crunchyroll.com' && (m = route.match(/^content\/v2\/cms\/seasons\/(\w+)\/episodes$/))) {
+            name = `season-${m[1]}.json`;
+        } else if (host == 'static.crunchyroll.com' && (m = route.match(/^skip-events\/production\/(\w+)\.json$/))) {
+            name = `skip-${m[1]}.json`;
+        } else if (host == 'cr-play-service.prd.crunchyrollsvc.com' && route.match(/^v1\/token\/\w+\/[\w-]+$/)) {
+            // Release of a playback session.
+            res.writeHead(204);
+            res.end();
+            return;
+        } else if (host == 'v.vrv.co' && (m = route.match(/^evs3\/(\w+)\/([\w-]+)\.(ass|vtt)$/))) {
+            name = `${(m[1] == 'GJAPAN01') ? 'ja' : 'dub'}-${m[2]}.${m[3]}`;
+            type = 'text/plain; charset=utf-8';
+        }
+
+        if (!name || !fs.existsSync(path.join(FIXTURES, name))) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(fixture(name));
+    }
+}
+
+
+/**
+ * Timers which only fire when a test says so.
+ */
+class FakeTimers {
+    constructor() {
+        // Pending timers, by ID, as { callback, delay }.
+        this.pending = new Map();
+        this._next_id = 1;
+    }
+
+    setTimeout(callback, delay) {
+        let id = this._next_id++;
+        this.pending.set(id, { 'callback': callback, 'delay': delay || 0 });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.pending.delete(id);
+    }
+
+    /**
+     * Fire every pending timer due within a time from when it was set.
+     * @param {number} ms
+     */
+    advance(ms) {
+        Array.from(this.pending.entries()).forEach(([id, timer]) => {
+            if (timer.delay <= ms) {
+                this.pending.delete(id);
+                timer.callback();
+            }
+        });
+    }
+}
+
+
+/**
+ * An event which listeners can be added to, and which tests can fire.
+ */
+class FakeEvent {
+    constructor() {
+        this.listeners = [];
+    }
+
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * @returns {Array<any>} Return values of all listeners
+     */
+    fire(...args) {
+        return this.listeners.map((listener) => listener(...args));
+    }
+}
+
+/**
+ * @returns {Object} An in-memory storage area
+ */
+function fake_storage_area(data) {
+    return {
+        'data': data,
+        async get(key) {
+            if (key === null || key === undefined) {
+                return structuredClone(data);
+            }
+            return (key in data) ? { [key]: structuredClone(data[key]) } : {};
+        },
+        async set(items) {
+            Object.keys(items).forEach((key) => { data[key] = structuredClone(items[key]); });
+        },
+        async remove(keys) {
+            [].concat(keys).forEach((key) => { delete data[key]; });
+        },
+    };
+}
+
+
+/**
+ * The background scripts, loaded into a sandbox.
+ */
+class Background {
+    /**
+     * @param {FixtureServer} server Server to direct all fetches to
+     * @param {Object} storage Storage contents shared with earlier instances, as
+     * { local, session }, e.g. to simulate the background page being suspended.
+     * @param {FakeTimers} timers Timers for the scripts to use, if not real ones
+     */
+    constructor(server, storage, timers) {
+        this.server = server;
+        this.storage = storage || { 'local': {}, 'session': {} };
+        this.filters = new Map();
+        this.messages = [];
+        // Options passed to downloads.download(), in order.
+        this.downloads = [];
+        this.logs = [];
+        this.browser = this._fake_browser();
+
+        let log = (level) => (...args) => {
+            this.logs.push([level, args.map(String).join(' ')]);
+            if (process.env.CRSOD_TEST_DEBUG) {
+                console.log(level, ...args);
+            }
+        };
+        this.context = vm.createContext({
+            'browser': this.browser,
+            'console': { 'debug': log('debug'), 'info': log('info'), 'warn': log('warn'), 'error': log('error'), 'log': log('log') },
+            'fetch': (url, opts) => fetch(server.rewrite(url), opts),
+            'Headers': Headers,
+            'URL': URL,
+            'Blob': Blob,
+            'AbortController': AbortController,
+            'TextEncoder': TextEncoder,
+            'TextDecoder': TextDecoder,
+            'setTimeout': timers ? timers.setTimeout.bind(timers) : setTimeout,
+            'clearTimeout': timers ? timers.clearTimeout.bind(timers) : clearTimeout,
+            'structuredClone': structuredClone,
+        });
+        MANIFEST.background.scripts.forEach((script) => {
+            let file = path.join(ROOT, script);
+            vm.runInContext(fs.readFileSync(file, 'utf8'), this.context, { 'filename': file });
+        });
+    }
+
+    _fake_browser() {
+        let event = () => new FakeEvent();
+        let noop = async () => { };
+        return {
+            'runtime': {
+                'getManifest': () => MANIFEST,
+                'onMessage': event(),
+                'onInstalled': event(),
+                'openOptionsPage': noop,
+            },
+            'storage': {
+                'local': fake_storage_area(this.storage.local),
+                'session': fake_storage_area(this.storage.session),
+                'onChanged': event(),
+            },
+            'webRequest': {
+                'onBeforeRequest': event(),
+                'onBeforeSendHeaders': event(),
+                'filterResponseData': (request_id) => {
+                    let filter = new FakeStreamFilter(request_id);
+                    this.filters.set(request_id, filter);
+                    return filter;
+                },
+            },
+            'webNavigation': { 'onCommitted': event(), 'onHistoryStateUpdated': event() },
+            'tabs': {
+                'onRemoved': event(),
+                'query': async () => [{ 'id': 1 }],
+                'sendMessage': async (tab_id, message, options) => { this.messages.push([tab_id, message, options]); },
+            },
+            'action': { 'setBadgeText': noop, 'setBadgeBackgroundColor': noop },
+            'commands': { 'onCommand': event() },
+            'downloads': {
+                'onChanged': event(),
+                'download': async (options) => {
+                    this.downloads.push(options);
+                    return this.downloads.length;
+                },
+            },
+            'permissions': { 'contains': async () => true, 'request': async () => true },
+        };
+    }
+
+    /**
+     * @param {string} expr A JavaScript expression
+     * @returns {any} The expression evaluated within the sandbox
+     */
+    eval(expr) {
+        return vm.runInContext(expr, this.context);
+    }
+
+    /**
+     * Send a request through the extension's webRequest listeners, as the
+     * browser would.
+     *
+     * @param {string} event Name of webRequest event, e.g. "onBeforeRequest"
+     * @param {Object} details Request details
+     * @returns {Promise<FakeStreamFilter|null>} Filter attached to the request, if any
+     */
+    async request(event, details) {
+        await Promise.all(this.browser.webRequest[event].fire(details));
+        return this.filters.get(details.requestId) || null;
+    }
+
+    /**
+     * Load an episode's /play response through the extension.
+     *
+     * @param {string} guid GUID of the episode
+     * @param {Object} details Request details to override, e.g. tabId
+     * @returns {Promise<Object>} Response as rewritten, parsed
+     */
+    async play(guid, details) {
+        let request = Object.assign({
+            'requestId': `play-${guid}-${this.filters.size}`,
+            'url': `https://cr-play-service.prd.crunchyrollsvc.com/v1/${guid}/web/firefox/play`,
+            'tabId': 1,
+            'frameId': 0,
+            'requestHeaders': [{ 'name': 'Authorization', 'value': 'Bearer fixture' }],
+        }, details);
+        let filter = await this.request('onBeforeSendHeaders', request);
+        filter.deliver(split_chunks(fixture(`play-${guid}.json`), 256));
+        await filter.done;
+        return JSON.parse(filter.output().toString('utf8'));
+    }
+
+    /**
+     * Load a script through the extension.
+     *
+     * @param {string} url URL of the script, as given in a /play response
+     * @param {string} body Script as served
+     * @param {Object} details Request details to override, e.g. tabId
+     * @returns {Promise<string|null>} Script as rewritten, or null if the request
+     * wasn't intercepted.
+     */
+    async script(url, body, details) {
+        let request = Object.assign({
+            'requestId': `script-${url}-${this.filters.size}`,
+            'url': url,
+            'tabId': 1,
+            'frameId': 0,
+        }, details);
+        let filter = await this.request('onBeforeRequest', request);
+        if (!filter) {
+            return null;
+        }
+        filter.deliver(split_chunks(body, 512));
+        await filter.done;
+        return filter.output().toString('utf8');
+    }
+}
+
+
+module.exports = { Background, FakeStreamFilter, FakeTimers, FixtureServer, fixture, split_chunks };
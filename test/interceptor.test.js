@@ -0,0 +1,103 @@
+// Tests of the Interceptor base class against a fake response filter.
+
+const assert = require('node:assert');
+const { after, before, test } = require('node:test');
+const { Background, FakeTimers, FixtureServer, fixture, split_chunks } = require('./harness');
+
+var server;
+
+before(async () => {
+    server = await new FixtureServer().start();
+});
+
+after(() => server.stop());
+
+
+/**
+ * @param {Background} bg
+ * @param {string} oncomplete Body of the interceptor's oncomplete(body) method
+ * @returns {FakeStreamFilter} Filter of a new interceptor with that oncomplete
+ */
+function intercept(bg, oncomplete) {
+    let id = `test-${bg.filters.size}`;
+    bg.eval(`new (class extends Interceptor {
+        async oncomplete(body) { ${oncomplete} }
+    })({ 'requestId': ${JSON.stringify(id)}, 'url': 'https://example.invalid/' })`);
+    return bg.filters.get(id);
+}
+
+
+test('multi-byte characters split across chunks are decoded intact', async () => {
+    let bg = new Background(server);
+    let filter = intercept(bg, 'return body;');
+    let body = 'Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,日本語のテキスト – ok ✓';
+    // 1-byte chunks split every multi-byte character.
+    filter.deliver(split_chunks(body, 1));
+    await filter.done;
+    assert.strictEqual(filter.output().toString('utf8'), body);
+});
+
+test('replacement body is written', async () => {
+    let bg = new Background(server);
+    let filter = intercept(bg, 'return body.toUpperCase();');
+    filter.deliver(split_chunks('abc', 2));
+    await filter.done;
+    assert.strictEqual(filter.output().toString('utf8'), 'ABC');
+    assert.strictEqual(bg.eval('Interceptor.COUNTS.ok'), 1);
+});
+
+test('raced request with empty body is passed through without writing', async () => {
+    let bg = new Background(server);
+    let filter = intercept(bg, 'throw new Error("should not be called");');
+    filter.deliver([]);
+    await filter.done;
+    assert.strictEqual(filter.written.length, 0);
+    assert.ok(filter.disconnected);
+    assert.strictEqual(bg.eval('Interceptor.COUNTS.failed'), 0);
+});
+
+test('original bytes are passed through when rewriting fails', async () => {
+    let bg = new Background(server);
+    let filter = intercept(bg, 'throw new Error("boom");');
+    let chunks = split_chunks('{"a": "ü"}', 3);
+    filter.deliver(chunks);
+    await filter.done;
+    assert.deepStrictEqual(filter.output(), Buffer.concat(chunks));
+    assert.strictEqual(bg.eval('Interceptor.COUNTS.failed'), 1);
+});
+
+test('filter errors disconnect without writing anything new', async () => {
+    let bg = new Background(server);
+    let filter = intercept(bg, 'return "rewritten";');
+    filter.fail('Channel redirected');
+    await filter.done;
+    assert.strictEqual(filter.output().length, 0);
+});
+
+test('original bytes are passed through once the time budget runs out', async () => {
+    let timers = new FakeTimers();
+    let bg = new Background(server, undefined, timers);
+    // The dub's metadata, needed to judge its subs, takes too long.
+    let held = server.hold('www.crunchyroll.com/content/v2/cms/objects/GENDUB01');
+    let filter = await bg.request('onBeforeSendHeaders', {
+        'requestId': 'play-slow',
+        'url': 'https://cr-play-service.prd.crunchyrollsvc.com/v1/GENDUB01/web/firefox/play',
+        'tabId': 1,
+        'frameId': 0,
+        'requestHeaders': [],
+    });
+    let chunks = split_chunks(fixture('play-GENDUB01.json'), 256);
+    filter.deliver(chunks);
+    await held.arrived;
+    timers.advance(bg.eval('INTERCEPT_TIME_BUDGET'));
+    await filter.done;
+    assert.deepStrictEqual(filter.output(), Buffer.concat(chunks));
+    assert.strictEqual(bg.eval('Interceptor.COUNTS.timed_out'), 1);
+    assert.strictEqual(bg.eval('Interceptor.COUNTS.failed'), 0);
+
+    // Nothing is registered for a response passed through unchanged.
+    held.release();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(bg.eval('ScriptInterceptor._CONTEXTS.size'), 0);
+    assert.strictEqual(bg.eval('Interceptor.COUNTS.ok'), 0);
+});
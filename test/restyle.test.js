@@ -0,0 +1,93 @@
+// Tests of restyling borrowed subtitles' dialogue.
+
+const assert = require('node:assert');
+const { after, before, test } = require('node:test');
+const { Background, FixtureServer, fixture } = require('./harness');
+
+var server;
+
+before(async () => {
+    server = await new FixtureServer().start();
+});
+
+after(() => server.stop());
+
+
+/**
+ * @param {string} script A script in SSA/ASS format
+ * @param {string} key e.g. "Style" or "Dialogue"
+ * @returns {Array<string>} Lines starting with key
+ */
+function entries(script, key) {
+    return script.split(/\r?\n/).filter((line) => line.startsWith(`${key}:`));
+}
+
+
+test('dialogue styles are restyled and signs are left alone', () => {
+    let bg = new Background(server);
+    let ass = [
+        '[Script Info]',
+        'PlayResX: 640',
+        'PlayResY: 360',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, Outline, Shadow, Alignment, MarginV',
+        'Style: Default,Arial,20,&H00FFFFFF,1,0,8,10',
+        'Style: Sign,Arial,18,&H00FFFFFF,1,0,8,10',
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        'Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,{\\an8\\i1}Where were you?',
+        'Dialogue: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,{\\pos(320,40)\\an8}Kyoto Station',
+        'Dialogue: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,Out.',
+        'Dialogue: 0,0:00:03.00,0:00:04.00,Sign,,0,0,0,,{\\an8}Tournament Day 1',
+        '',
+    ].join('\n');
+    let options = { 'font': 'Open Sans', 'scale': 1.5, 'outline': 6, 'colour': '#ffcc00', 'margin_v': 60, 'bottom_centre': true };
+    let out = bg.eval(`script_restyle(${JSON.stringify(ass)}, ${JSON.stringify(options)})`);
+
+    assert.deepStrictEqual([...out.styles], ['Default']);
+    // Outline and margin are scaled from 1080p to the script's 360 lines.
+    assert.deepStrictEqual(entries(out.script, 'Style'), [
+        'Style: Default,Open Sans,30,&H0000CCFF,2,0,2,20',
+        'Style: Sign,Arial,18,&H00FFFFFF,1,0,8,10',
+    ]);
+    assert.deepStrictEqual(entries(out.script, 'Dialogue'), [
+        'Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,{\\i1}Where were you?',
+        'Dialogue: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,{\\pos(320,40)\\an8}Kyoto Station',
+        'Dialogue: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,Out.',
+        'Dialogue: 0,0:00:03.00,0:00:04.00,Sign,,0,0,0,,{\\an8}Tournament Day 1',
+    ]);
+    assert.strictEqual(bg.eval(`script_restyle('WEBVTT\\n\\n00:01.000 --> 00:02.000\\nHi\\n', {})`), null);
+});
+
+test('overrides for a language go on top of those for all languages', () => {
+    let bg = new Background(server);
+    let settings = {
+        'restyle': {
+            '*': { 'scale': 1.2, 'font': 'Arial' },
+            'en-US': { 'font': 'Open Sans', 'bottom_centre': 'yes', 'size': 3 },
+        },
+    };
+    let options = (lang) => {
+        let out = bg.eval(`restyle_options(${JSON.stringify(settings)}, ${JSON.stringify(lang)})`);
+        return out && { ...out };
+    };
+    assert.deepStrictEqual(options('en-US'), { 'scale': 1.2, 'font': 'Open Sans' });
+    assert.deepStrictEqual(options('es-ES'), { 'scale': 1.2, 'font': 'Arial' });
+    assert.strictEqual(bg.eval(`restyle_options({ 'restyle': {} }, 'en-US')`), null);
+    assert.strictEqual(bg.eval(`restyle_colour('&H00FF00FF')`), '&H00FF00FF');
+    assert.strictEqual(bg.eval(`restyle_colour('orange')`), null);
+});
+
+test('borrowed scripts are restyled when rewritten', async () => {
+    let bg = new Background(server, {
+        'local': { 'settings': { 'restyle': { 'es-ES': { 'font': 'Open Sans', 'scale': 1.25 } } } },
+        'session': {},
+    });
+    let play = await bg.play('GENDUB01');
+    let es = await bg.script(play.subtitles['es-ES'].url, fixture('ja-es-ES.ass'));
+    assert.ok(es.includes('\nStyle: Default,Open Sans,75,'));
+    assert.ok(es.includes('\nStyle: Sign,Arial,48,'));
+    assert.match(es, /^Dialogue: 0,0:00:17\.00,0:00:20\.50,Default,,0,0,0,,¿Dónde estuviste anoche\?/m);
+});
@@ -0,0 +1,134 @@
+// Tests of using skip events (recap, intro, credits, preview) as anchor
+// points for aligning versions.
+
+const assert = require('node:assert');
+const { after, before, test } = require('node:test');
+const { Background, FixtureServer, fixture } = require('./harness');
+
+var server;
+
+before(async () => {
+    server = await new FixtureServer().start();
+});
+
+after(() => server.stop());
+
+
+/**
+ * @param {Background} bg
+ * @param {Object} events Skip events of the current version, as served
+ * @param {Object} alt_events Skip events of the alternative version
+ * @returns {TimingMap|null} Map of alternative version times onto the current version
+ */
+function timing_map(bg, events, alt_events) {
+    return bg.eval(`skip_events_timing_map(skip_events_parse(${JSON.stringify(events)}), `
+        + `skip_events_parse(${JSON.stringify(alt_events)}))`);
+}
+
+/**
+ * @param {Background} bg
+ * @param {Object} events Skip events of the current version, as served
+ * @param {Object} alt_events Skip events of the alternative version
+ * @returns {Array<Object>|null} Segments of the resulting map, as { start, end, offset }
+ */
+function segments(bg, events, alt_events) {
+    let map = timing_map(bg, events, alt_events);
+    return map && Array.from(map.segments, (seg) => ({ 'start': seg.start, 'end': seg.end, 'offset': seg.offset }));
+}
+
+
+test('parts marked in both versions anchor a single offset', () => {
+    let bg = new Background(server);
+    let parsed = bg.eval(`skip_events_parse(${fixture('skip-GENDUB01.json')})`);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(parsed)), {
+        'intro': { 'start': 35000, 'end': 125000 },
+        'credits': { 'start': 1355000, 'end': 1445000 },
+    });
+
+    assert.deepStrictEqual(segments(bg, JSON.parse(fixture('skip-GENDUB01.json')), JSON.parse(fixture('skip-GJAPAN01.json'))),
+        [{ 'start': 30000, 'end': 1440000, 'offset': 5000 }]);
+    assert.strictEqual(segments(bg, { 'intro': { 'start': 35, 'end': 125 } }, { 'credits': { 'start': 1350, 'end': 1440 } }), null);
+});
+
+test('a recap only the dub has splits the offset around it', () => {
+    let bg = new Background(server);
+    let alt = { 'intro': { 'start': 120, 'end': 210 }, 'credits': { 'start': 1300, 'end': 1390 } };
+    let dub = {
+        'recap': { 'start': 120, 'end': 180 },
+        'intro': { 'start': 180, 'end': 270 },
+        // The dub's credits run longer, so only their start lines up.
+        'credits': { 'start': 1360, 'end': 1480 },
+    };
+    assert.deepStrictEqual(segments(bg, dub, alt), [
+        { 'start': 120000, 'end': 120000, 'offset': 0 },
+        { 'start': 120000, 'end': 1300000, 'offset': 60000 },
+    ]);
+
+    // The cold open before the recap keeps its time; everything after it moves.
+    let map = timing_map(bg, dub, alt);
+    assert.strictEqual(map.reference, 'recap, intro, credits');
+    let apply = bg.eval('(map, time) => TimingMap.apply(map.transform_at(time), time)');
+    assert.strictEqual(apply(map, 50000), 50000);
+    assert.strictEqual(apply(map, 600000), 660000);
+});
+
+test('a recap cut from the dub drops what it covered', () => {
+    let bg = new Background(server);
+    let alt = { 'recap': { 'start': 0, 'end': 90 }, 'intro': { 'start': 90, 'end': 180 } };
+    let dub = { 'intro': { 'start': 5, 'end': 95 } };
+    assert.deepStrictEqual(segments(bg, dub, alt), [
+        { 'start': 0, 'end': 0, 'offset': 5000 },
+        { 'start': 90000, 'end': 180000, 'offset': -85000 },
+    ]);
+    assert.strictEqual(timing_map(bg, dub, alt).transform_at(45000), null);
+});
+
+test('skip events are loaded for both versions and used when scripts can\'t be compared', async () => {
+    let bg = new Background(server);
+    let loader = bg.eval(`new PlayInterceptor({ 'url': 'https://cr-play-service.prd.crunchyrollsvc.com/v1/GENDUB01/web/firefox/play', `
+        + `'tabId': -1, 'frameId': 0, 'requestHeaders': [] })`);
+    assert.deepStrictEqual(Object.keys(await loader.media_skip_events('GJAPAN01')), ['intro', 'credits']);
+    assert.strictEqual(await loader.media_skip_events('GENDUB02'), null);
+
+    let play = await bg.play('GENDUB01');
+    // No scripts present in both versions to compare.
+    bg.eval(`ScriptInterceptor._CONTEXTS.get('1/0').forEach((entry) => { entry.ctx.references = []; })`);
+    await bg.script(play.subtitles['es-ES'].url, fixture('ja-es-ES.ass'));
+    assert.ok(server.requests.includes('static.crunchyroll.com/skip-events/production/GENDUB01.json'));
+    assert.ok(server.requests.includes('static.crunchyroll.com/skip-events/production/GJAPAN01.json'));
+    let adjustment = bg.eval('EpisodeStatus.for_tab(1)').adjustments['es-ES'];
+    assert.strictEqual(adjustment.how, 'skip events (intro, credits)');
+    assert.strictEqual(adjustment.description, '5000ms');
+});
+
+test('skip events with few anchor points aren\'t trusted', async () => {
+    let bg = new Background(server);
+    let dub = JSON.parse(fixture('skip-GENDUB01.json'));
+    assert.strictEqual(timing_map(bg, dub, JSON.parse(fixture('skip-GJAPAN01.json'))).confidence, 1);
+    // Intros of different lengths line up at their start alone.
+    let alt = { 'intro': { 'start': 30, 'end': 100 } };
+    assert.strictEqual(timing_map(bg, dub, alt).confidence, 0.25);
+
+    let play = await bg.play('GENDUB01');
+    bg.eval(`ScriptInterceptor._CONTEXTS.get('1/0').forEach((entry) => {
+        entry.ctx.references = [];
+        entry.ctx.alt_skip_events = Promise.resolve(skip_events_parse(${JSON.stringify(alt)}));
+    })`);
+    await bg.script(play.subtitles['es-ES'].url, fixture('ja-es-ES.ass'));
+    assert.strictEqual(bg.eval('EpisodeStatus.for_tab(1)').adjustments['es-ES'].how, 'duration');
+});
+
+test('skip events are checked against script comparison, and win if more confident', async () => {
+    let bg = new Background(server);
+    let play = await bg.play('GENDUB01');
+    // The original's parts 20 s earlier than where its scripts put them.
+    let alt = { 'intro': { 'start': 10, 'end': 100 }, 'credits': { 'start': 1330, 'end': 1420 } };
+    bg.eval(`ScriptInterceptor._CONTEXTS.get('1/0').forEach((entry) => {
+        entry.ctx.alt_skip_events = Promise.resolve(skip_events_parse(${JSON.stringify(alt)}));
+    })`);
+    await bg.script(play.subtitles['es-ES'].url, fixture('ja-es-ES.ass'));
+    let status = bg.eval('EpisodeStatus.for_tab(1)');
+    assert.match(status.warnings.join('\n'), /suggests 5000ms mid-episode, but skip events \(intro, credits\) suggest 25000ms/);
+    assert.strictEqual(status.adjustments['es-ES'].how, 'skip events (intro, credits)');
+    assert.strictEqual(status.adjustments['es-ES'].description, '25000ms');
+});